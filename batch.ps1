@@ -1,5 +1,6 @@
 <#
 This script will perform the full migration of all tech learning materials to the final output file.
+See run_pipeline.js for the cross-platform Node equivalent, which is driven by a pipeline.json file in the workspace.
 
 Command line arguments:
     -w, --workspace: The path where input files are to be found as well as where output files will be written.
@@ -8,6 +9,8 @@ Command line arguments:
 The contents of the workspace path are expected to be:
 - trello.json: The Trello board export file.
 - tag_mappings.json: The tag mappings file.
+- list_rules.json: (optional) Per-list rules for the Trello board (see import_trello.js).
+- cleanup_rules.json: (optional) Cleanup rules applied to the imported items (see clean_data.js).
 #>
 
 param (
@@ -29,11 +32,14 @@ $tagMappingsFile = Join-Path $workspace "tag_mappings.json"
 $trelloFile = Join-Path $workspace "trello.json"
 
 # Run import_trello.js to import the Trello board export file.
-node import_trello.js $trelloFile
+node import_trello.js $trelloFile $tagMappingsFile $outputFile
 
 # Run import_techbooks.js to import the tech books.
 node import_books.js $techBooksPath $tagMappingsFile $outputFile
 
+# Run dedupe_data.js to merge duplicate items across sources.
+node dedupe_data.js $outputFile
+
 # Run clean_data.js to clean the data.
 node clean_data.js $outputFile
 
@@ -0,0 +1,68 @@
+/*
+Shared helpers for import_goodreads.js and import_kindle.js, which import the books of a Goodreads or Kindle library:
+each library book either enriches the book item it matches (e.g. a Trello book card) or becomes a new book item.
+
+HOW LIBRARY BOOKS ARE MATCHED TO ITEMS:
+A library book matches the first book item with the same title, compared ignoring case, punctuation (letters and
+digits of any script are kept; titles without any never match), anything in parentheses or brackets (e.g. a series
+name or "(O'Reilly)"), an "Nth edition" and, when only one of the titles has one, the subtitle after ":" (so "Clean
+Code" matches "Clean Code: A Handbook of Agile Software Craftsmanship"). Book items added for earlier books of the same
+library count too, so a book listed twice (e.g. two editions) becomes one item.
+
+HOW MATCHING ITEMS ARE ENRICHED:
+The library book is recorded as a contribution to the item (see item_store.js), so it's applied again whenever the
+item's own importer updates it:
+- isbn, asin, shelf and rating: set from the library book, when it has them
+- authors: set from the library book when the item has none
+- location: set to the library's location when it's more specific than the item's: any location is more specific
+  than none, and any other location (e.g. "kindle") than "other". When the item already has a different specific
+  location (e.g. "downloaded", or "google play" from the card description), it's kept and the library's location is
+  added to "locations" instead (see dedupe_data.js)
+Other fields, such as the title, tags and status, are left as they are.
+*/
+
+module.exports = {
+    findBookItem,
+    getEnrichedItem
+};
+
+// Return the enrichment to upsert (see item_store.js) for the matching item: the item's id and whichever of the
+// library book's authors, isbn, asin, shelf, rating and location are known. How they're applied to the item (e.g.
+// authors only when it has none) is up to item_store.js, so that it's the same every time the item is updated.
+function getEnrichedItem(matchingItem, book) {
+    const item = { id: matchingItem.id };
+    ['authors', 'isbn', 'asin', 'shelf', 'rating', 'location'].forEach(field => {
+        const value = book[field];
+        if (value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)) {
+            item[field] = value;
+        }
+    });
+    return item;
+}
+
+// Titles that normalize to nothing (e.g. only punctuation) never match.
+function findBookItem(items, title) {
+    const normalizedTitle = normalizeTitle(title);
+    const mainTitle = normalizeTitle(title.split(':')[0]);
+    if (!normalizedTitle) {
+        return undefined;
+    }
+    return items.find(item => item.type === 'book' && normalizeTitle(item.title) === normalizedTitle)
+        || items.find(item => {
+            if (item.type !== 'book') {
+                return false;
+            }
+            const itemTitle = normalizeTitle(item.title);
+            const itemMainTitle = normalizeTitle(item.title.split(':')[0]);
+            return (mainTitle && itemTitle === mainTitle) || (itemMainTitle && itemMainTitle === normalizedTitle);
+        });
+}
+
+function normalizeTitle(title) {
+    return title
+        .toLowerCase()
+        .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+        .replace(/\b\d+(st|nd|rd|th)\s+edition\b/g, ' ')
+        .replace(/[^\p{L}\p{N}#+]+/gu, ' ')
+        .trim();
+}
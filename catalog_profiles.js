@@ -0,0 +1,50 @@
+/*
+Built-in site profiles for import_course_catalog.js: how to find the courses in a saved HTML page of a course catalog,
+bundle or "My Courses" page.
+
+Each profile has:
+- "provider": the name of the site, written to the "provider" field of the imported courses
+- "urlBase": the URL that relative course URLs are resolved against
+- "item": CSS selector of the element holding each course
+- "title", "url", "author", "date": where to find each field inside the course element, as a CSS selector, optionally
+  followed by "@{attribute}" to read that attribute instead of the element's text. A field that is only "@{attribute}"
+  reads the attribute of the course element itself, and an empty field is left out. "author" may match several
+  elements (one per author, or several authors separated by commas); "date" (e.g. the enrollment date) must be
+  something new Date() understands, e.g. an ISO date.
+
+The Udemy and Pluralsight selectors match the markup of those pages when the profiles were written; when a site
+changes its markup, override its profile in a profiles file (see import_course_catalog.js) instead of editing this one.
+*/
+
+module.exports = {
+    // A Teachable course bundle page, e.g. https://training.mammothinteractive.com/p/...-bundle
+    mammoth: {
+        provider: 'Mammoth Interactive',
+        urlBase: 'https://training.mammothinteractive.com/',
+        item: '.course-listing',
+        title: '.course-listing-title',
+        url: '@data-course-url',
+        author: '.course-author-name',
+        date: ''
+    },
+    // https://www.udemy.com/home/my-courses/learning/
+    udemy: {
+        provider: 'Udemy',
+        urlBase: 'https://www.udemy.com/',
+        item: '[class*="course-card-module--container"], [class*="enrolled-course-card--container"]',
+        title: '[data-purpose="course-title-url"]',
+        url: '[data-purpose="course-title-url"] a@href',
+        author: '[class*="instructor-list"]',
+        date: ''
+    },
+    // https://app.pluralsight.com/library/history (saved "My Courses" history page)
+    pluralsight: {
+        provider: 'Pluralsight',
+        urlBase: 'https://app.pluralsight.com/',
+        item: '[data-testid="course-card"], [class*="courseCard"]',
+        title: '[data-testid="course-title"], [class*="title"]',
+        url: 'a[href*="/library/courses/"]@href',
+        author: '[data-testid="course-author"], [class*="author"]',
+        date: 'time@datetime'
+    }
+};
@@ -1,25 +1,88 @@
 /*
 This script cleans up the data in the output JSON file created by running import_trello.js and import_books.js.
-It takes a full path to that JSON file as a command-line argument, opens and edits it, and then saves it back to the same file.
+It opens and edits that JSON file, and then saves it back to the same file.
+
+Command-line arguments:
+1. Full path to the output JSON file.
+2. (optional) JSON file containing the cleanup rules (see note "On cleanup rules" below); defaults to
+   cleanup_rules.json in the same directory as the output JSON file.
+
+On cleanup rules:
+The cleanup rules file is an array of rules, applied in order to every item. Each rule has a "name" (used in the
+report), a "when" object with the conditions the item has to meet (all of them), and a "then" object with the actions
+to apply to matching items.
+
+Conditions (all optional; a rule without conditions applies to every item):
+- "type": item type, or array of types the item's type must be one of
+- "location": item location, or array of locations the item's location must be one of
+- "tags": array of tags the item must all have
+- "notTags": array of tags the item must not have any of
+- "title": regular expression (case-insensitive) the title must match
+- "url": regular expression (case-insensitive) the URL must match
+- "stale": true for items whose source no longer has them, false for the others (see item_store.js)
+
+Actions:
+- "addTags": array of tags to add
+- "removeTags": array of tags to remove
+- "setType": new item type
+- "setLocation": new item location
+- "drop": true to remove the item from the output altogether
+
+After cleaning, the script reports how many items each rule changed. If no cleanup rules file exists, the script
+applies the following rules:
+[
+    {
+        "name": "Drop redundant documentation tag",
+        "when": { "type": "documentation", "tags": ["documentation"] },
+        "then": { "removeTags": ["documentation"] }
+    },
+    {
+        "name": "Drop ml tag from HTML/XML titles",
+        "when": { "tags": ["ml"], "title": "html|xml" },
+        "then": { "removeTags": ["ml"] }
+    }
+]
 */
 
 const fs = require('fs');
 const path = require('path');
 const util = require('util');
+const itemsSchema = require('./items_schema');
 
 const readFile = util.promisify(fs.readFile);
 const writeFile = util.promisify(fs.writeFile);
 
 const args = process.argv.slice(2);
 const inputFilePath = args[0];
+const rulesFilePath = args[1] ? args[1] : path.join(path.dirname(inputFilePath), 'cleanup_rules.json');
 
 const output = require(inputFilePath);
+const rules = getRules(rulesFilePath);
 
 let minDate = new Date();
 let earliestItem = null;
 
-// Loop through each item.
-output.items.forEach(item => {
+// Number of items changed by each rule, keyed by rule name.
+const changedCounts = {};
+rules.forEach(rule => {
+    changedCounts[rule.name] = 0;
+});
+
+// Loop through each item, keeping only the items that no rule dropped.
+output.items = output.items.filter(item => {
+    for (const rule of rules) {
+        if (!matchesRule(item, rule)) {
+            continue;
+        }
+        if (rule.then.drop) {
+            changedCounts[rule.name]++;
+            return false;
+        }
+        if (applyRule(item, rule)) {
+            changedCounts[rule.name]++;
+        }
+    }
+
     // Update minDate
     const created = new Date(item.created);
     if (created < minDate) {
@@ -27,22 +90,23 @@ output.items.forEach(item => {
         earliestItem = item;
     }
 
-    // If item has tag 'documentation' but is also type='documentation', remove the tag.
-    if (item.tags.includes('documentation') && item.type === 'documentation') {
-        item.tags.splice(item.tags.indexOf('documentation'), 1);
-    }
+    return true;
+});
 
-    // If item has tag 'ml' but includes either "HTML" or "XML" (non-case-sensitive) in the title, remove the tag.
-    if (item.tags.includes('ml') && (item.title.toLowerCase().includes('html') || item.title.toLowerCase().includes('xml'))) {
-        item.tags.splice(item.tags.indexOf('ml'), 1);
-    }
+// Log the number of items each rule changed.
+rules.forEach(rule => {
+    console.log(`Rule "${rule.name}" changed ${changedCounts[rule.name]} item(s)`);
 });
 
 // Log minimum date encountered to console (formatted for readability).
 console.log(`Minimum date encountered: ${minDate.toLocaleDateString()}`);
 
 // Log earliest item to console.
-console.log(`Earliest item: ${earliestItem.title}`);
+if (earliestItem) {
+    console.log(`Earliest item: ${earliestItem.title}`);
+}
+
+itemsSchema.assertValidItems(output, 'clean_data.js');
 
 // Write output to file.
 writeFile(inputFilePath, JSON.stringify(output, null, 2))
@@ -51,4 +115,95 @@ writeFile(inputFilePath, JSON.stringify(output, null, 2))
     })
     .catch(err => {
         console.log(err);
+        process.exitCode = 1;
     });
+
+function getRules(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return [
+            {
+                name: 'Drop redundant documentation tag',
+                when: { type: 'documentation', tags: ['documentation'] },
+                then: { removeTags: ['documentation'] }
+            },
+            {
+                name: 'Drop ml tag from HTML/XML titles',
+                when: { tags: ['ml'], title: 'html|xml' },
+                then: { removeTags: ['ml'] }
+            }
+        ];
+    }
+
+    const rulesFromFile = require(path.resolve(filePath));
+    if (!Array.isArray(rulesFromFile)) {
+        throw new Error(`Cleanup rules file ${filePath} must contain an array of rules.`);
+    }
+
+    return rulesFromFile.map((rule, index) => {
+        return {
+            name: rule.name || `Rule ${index + 1}`,
+            when: rule.when || {},
+            then: rule.then || {}
+        };
+    });
+}
+
+function matchesRule(item, rule) {
+    const when = rule.when;
+
+    if (when.type && !toArray(when.type).includes(item.type)) {
+        return false;
+    }
+    if (when.location && !toArray(when.location).includes(item.location)) {
+        return false;
+    }
+    if (when.tags && !when.tags.every(tag => item.tags.includes(tag))) {
+        return false;
+    }
+    if (when.notTags && when.notTags.some(tag => item.tags.includes(tag))) {
+        return false;
+    }
+    if (when.title && !new RegExp(when.title, 'i').test(item.title)) {
+        return false;
+    }
+    if (when.url && !new RegExp(when.url, 'i').test(item.url || '')) {
+        return false;
+    }
+    if (when.stale !== undefined && Boolean(item.stale) !== when.stale) {
+        return false;
+    }
+    return true;
+}
+
+// Apply the rule's actions to the item and return whether anything about the item changed.
+function applyRule(item, rule) {
+    const then = rule.then;
+    let changed = false;
+
+    (then.addTags || []).forEach(tag => {
+        if (!item.tags.includes(tag)) {
+            item.tags.push(tag);
+            changed = true;
+        }
+    });
+    (then.removeTags || []).forEach(tag => {
+        if (item.tags.includes(tag)) {
+            item.tags.splice(item.tags.indexOf(tag), 1);
+            changed = true;
+        }
+    });
+    if (then.setType && item.type !== then.setType) {
+        item.type = then.setType;
+        changed = true;
+    }
+    if (then.setLocation && item.location !== then.setLocation) {
+        item.location = then.setLocation;
+        changed = true;
+    }
+
+    return changed;
+}
+
+function toArray(value) {
+    return Array.isArray(value) ? value : [value];
+}
@@ -0,0 +1,377 @@
+/*
+This script finds and merges duplicate items in the output JSON file created by running import_trello.js and
+import_books.js, e.g. a book that is both a Trello card and a downloaded file, or a course that was added to several
+Trello lists. It opens and edits that JSON file, and then saves it back to the same file.
+
+Command-line arguments:
+1. Full path to the output JSON file.
+2. (optional) Similarity (0 to 1) at or above which two titles are merged automatically; defaults to 0.9.
+3. (optional) Similarity (0 to 1) at or above which two titles are written to the review file; defaults to 0.75.
+
+HOW DUPLICATES ARE FOUND:
+- Items with the same normalized URL are duplicates (URLs are compared without protocol, "www.", fragment, trailing
+  slash and tracking parameters such as "utm_source", with the other query parameters in any order; the rest of the
+  query is kept, since it often tells pages apart, e.g. "watch?v=..." videos).
+- Items of the same type with the same normalized title are duplicates (titles are compared in lower case, without
+  a trailing " | Site name", bracketed text, "Nth edition" and punctuation; letters and digits of any script are
+  kept). Titles that normalize to nothing (e.g. only punctuation) are never compared.
+- Items of the same type whose normalized titles are similar (Dice coefficient of their letter pairs) at or above the
+  merge threshold are duplicates, unless their numbers or part/volume markers differ (e.g. "Vue.js Part 1" and
+  "Vue.js Part 2", or "Volume I" and "Volume II"): those are uncertain matches instead.
+- Items of the same type whose similarity is at or above the review threshold but below the merge threshold are
+  uncertain matches; they are not merged but written to the review file (see below).
+A pair rejected in the review file is never merged, not even through a third item that matches both.
+
+HOW DUPLICATES ARE MERGED:
+The earliest created item of a group is kept and the others are merged into it:
+- tags: union of all tags
+- location: kept, and "locations" lists every distinct non-empty location of the group
+- url, description: kept, or taken from the first other item that has one if empty
+- created: earliest; lastActivity: latest
+- status: the most active status of the group (in-progress, on-deck, done, backlog, archived)
+- checklists, comments: concatenated
+- formats, paths (downloaded books): union of all formats and paths
+- mergedIds: the ids of the items merged into it, so that importers don't add them again (see item_store.js)
+- sourceIds: union of all source ids, and "stale" only if every item of the group is stale (see item_store.js)
+- contributions: those of all items, plus what each other item contributes (see item_store.js)
+
+REVIEW FILE:
+Uncertain matches are written to {output file name}.dedupe_review.json next to the output JSON file, e.g.
+{
+    "pairs": [
+        {
+            "score": 0.81,
+            "titles": ["Learning React", "Learning React Native"],
+            "type": "book",
+            "merge": null
+        }
+    ]
+}
+To confirm a match, set "merge" to true; to reject it, set it to false. Decisions are read back on the next run:
+confirmed pairs are merged and every decided pair keeps its decision in the rewritten review file, even once the
+pair has been merged, so that decisions survive re-importing the data.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const itemsSchema = require('./items_schema');
+const itemStore = require('./item_store');
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+
+const args = process.argv.slice(2);
+const inputFilePath = args[0];
+const mergeThreshold = args[1] ? parseFloat(args[1]) : 0.9;
+const reviewThreshold = args[2] ? parseFloat(args[2]) : 0.75;
+const reviewFilePath = path.join(path.dirname(inputFilePath), path.basename(inputFilePath, '.json') + '.dedupe_review.json');
+
+const statusPriority = ['in-progress', 'on-deck', 'done', 'backlog', 'archived'];
+
+const output = require(inputFilePath);
+const items = output.items;
+const decisions = getReviewDecisions(reviewFilePath);
+
+const normalizedTitles = items.map(item => normalizeTitle(item.title));
+const normalizedUrls = items.map(item => normalizeUrl(item.url));
+const titleBigrams = normalizedTitles.map(title => getBigrams(title));
+
+// Union-find over item indexes: each group of duplicates ends up with a single root, and "members" lists the item
+// indexes of each root's group.
+const parents = items.map((item, index) => index);
+const members = items.map((item, index) => [index]);
+const reviewPairs = [];
+// Pairs of item indexes to merge, with a score to merge the surest ones first, and pairs rejected in review.
+const links = [];
+const rejectedPairs = new Set();
+
+for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+        const pairKey = getPairKey(normalizedTitles[i], normalizedTitles[j]);
+        const decision = decisions[pairKey] ? decisions[pairKey].merge : undefined;
+        if (decision === false) {
+            rejectedPairs.add(`${i},${j}`);
+        }
+
+        if (normalizedUrls[i] && normalizedUrls[i] === normalizedUrls[j]) {
+            links.push({ i, j, score: 2 });
+            continue;
+        }
+        if (items[i].type !== items[j].type || !normalizedTitles[i] || !normalizedTitles[j]) {
+            continue;
+        }
+
+        const score = normalizedTitles[i] === normalizedTitles[j] ? 1 : getSimilarity(titleBigrams[i], titleBigrams[j]);
+        const sameMarkers = getMarkers(normalizedTitles[i]) === getMarkers(normalizedTitles[j]);
+        if (score >= mergeThreshold && sameMarkers) {
+            links.push({ i, j, score });
+        } else if (score >= reviewThreshold) {
+            if (decisions[pairKey]) {
+                decisions[pairKey].seen = true;
+            }
+            if (decision === true) {
+                links.push({ i, j, score });
+            }
+            reviewPairs.push({
+                score: Math.round(score * 100) / 100,
+                titles: [items[i].title, items[j].title],
+                type: items[i].type,
+                merge: decision === undefined ? null : decision
+            });
+        }
+    }
+}
+
+links.sort((a, b) => b.score - a.score).forEach(link => {
+    union(link.i, link.j);
+});
+
+// Keep decided pairs that didn't come up this time (e.g. because they were merged in an earlier run).
+Object.keys(decisions).forEach(pairKey => {
+    if (!decisions[pairKey].seen) {
+        reviewPairs.push(decisions[pairKey].pair);
+    }
+});
+
+// Merge every group into its earliest created item, keeping the original item order otherwise.
+const groups = {};
+items.forEach((item, index) => {
+    const root = find(index);
+    if (!groups[root]) {
+        groups[root] = [];
+    }
+    groups[root].push(item);
+});
+
+const mergedItems = [];
+let duplicateCount = 0;
+items.forEach((item, index) => {
+    const group = groups[find(index)];
+    const keptItem = group.slice().sort((a, b) => new Date(a.created) - new Date(b.created))[0];
+    if (keptItem !== item) {
+        duplicateCount++;
+        return;
+    }
+    mergedItems.push(group.length > 1 ? mergeItems(keptItem, group.filter(other => other !== keptItem)) : item);
+});
+output.items = mergedItems;
+
+console.log(`Merged ${duplicateCount} duplicate item(s); ${reviewPairs.filter(pair => pair.merge === null).length} uncertain match(es) to review`);
+
+itemsSchema.assertValidItems(output, 'dedupe_data.js');
+
+// Write output and review report to file.
+writeFile(inputFilePath, JSON.stringify(output, null, 2))
+    .then(() => writeFile(reviewFilePath, JSON.stringify({ pairs: reviewPairs }, null, 2)))
+    .then(() => {
+        console.log(`Deduplicated data in ${inputFilePath}`);
+        console.log(`Wrote uncertain matches to ${reviewFilePath}`);
+    })
+    .catch(err => {
+        console.log(err);
+        process.exitCode = 1;
+    });
+
+function find(index) {
+    while (parents[index] !== index) {
+        parents[index] = parents[parents[index]];
+        index = parents[index];
+    }
+    return index;
+}
+
+// Join the groups of the two items, unless that would merge a pair rejected in review.
+function union(a, b) {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA === rootB) {
+        return;
+    }
+    const rejected = members[rootA].some(i => members[rootB].some(j => rejectedPairs.has(`${Math.min(i, j)},${Math.max(i, j)}`)));
+    if (rejected) {
+        return;
+    }
+    const root = Math.min(rootA, rootB);
+    const child = Math.max(rootA, rootB);
+    parents[child] = root;
+    members[root] = members[root].concat(members[child]);
+    members[child] = [];
+}
+
+function mergeItems(keptItem, others) {
+    const merged = Object.assign({}, keptItem);
+    const group = [keptItem].concat(others);
+
+    merged.tags = [];
+    group.forEach(item => {
+        item.tags.forEach(tag => {
+            if (!merged.tags.includes(tag)) {
+                merged.tags.push(tag);
+            }
+        });
+    });
+
+    // Record what the other items contribute, so that it's kept when importers update the kept item (see item_store.js).
+    merged.contributions = Object.assign({}, ...group.map(item => item.contributions || {}));
+    others.forEach(item => {
+        merged.contributions[`merged:${item.id}`] = itemStore.getContribution(item);
+    });
+
+    merged.mergedIds = (keptItem.mergedIds || []).slice();
+    others.forEach(item => {
+        [item.id].concat(item.mergedIds || []).forEach(id => {
+            if (id && !merged.mergedIds.includes(id)) {
+                merged.mergedIds.push(id);
+            }
+        });
+    });
+
+    ['formats', 'paths', 'sourceIds'].forEach(field => {
+        if (group.some(item => item[field])) {
+            merged[field] = [];
+            group.forEach(item => {
+                (item[field] || []).forEach(value => {
+                    if (!merged[field].includes(value)) {
+                        merged[field].push(value);
+                    }
+                });
+            });
+        }
+    });
+
+    merged.locations = [];
+    group.forEach(item => {
+        (item.locations || [item.location]).forEach(location => {
+            if (location && !merged.locations.includes(location)) {
+                merged.locations.push(location);
+            }
+        });
+    });
+    if (!merged.location && merged.locations.length > 0) {
+        merged.location = merged.locations[0];
+    }
+
+    ['url', 'description'].forEach(field => {
+        if (!merged[field]) {
+            const other = others.find(item => item[field]);
+            merged[field] = other ? other[field] : merged[field];
+        }
+    });
+
+    const lastActivities = group.map(item => item.lastActivity).filter(date => date);
+    if (lastActivities.length > 0) {
+        merged.lastActivity = lastActivities.sort().reverse()[0];
+    }
+
+    const statuses = group.map(item => item.status).filter(status => statusPriority.includes(status));
+    if (statuses.length > 0) {
+        merged.status = statuses.sort((a, b) => statusPriority.indexOf(a) - statusPriority.indexOf(b))[0];
+    }
+
+    if (group.some(item => !item.stale)) {
+        delete merged.stale;
+    }
+
+    if (group.some(item => item.checklists)) {
+        merged.checklists = [].concat(...group.map(item => item.checklists || []));
+    }
+    if (group.some(item => item.comments)) {
+        merged.comments = [].concat(...group.map(item => item.comments || []))
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    return merged;
+}
+
+function normalizeTitle(title) {
+    return title
+        .toLowerCase()
+        .replace(/\s+\|\s+[^|]*$/, '')
+        .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+        .replace(/\b\d+(st|nd|rd|th)\s+edition\b/g, ' ')
+        .replace(/[^\p{L}\p{N}#+]+/gu, ' ')
+        .trim();
+}
+
+// The numbers and part/volume markers of a normalized title (e.g. "part 2", "volume ii"), which tell apart titles that
+// are otherwise alike.
+function getMarkers(title) {
+    const markers = title.match(/\b(part|pt|volume|vol|book|chapter|season|level)\s+\S+|\p{N}+/gu) || [];
+    return markers.join('|');
+}
+
+function normalizeUrl(url) {
+    if (!url) {
+        return '';
+    }
+    const [address, query] = url.replace(/#.*$/, '').split(/\?(.*)/);
+    const parameters = (query || '').split('&')
+        .filter(parameter => parameter.length > 0 && !isTrackingParameter(parameter.split('=')[0]))
+        .sort();
+    const normalizedAddress = address
+        .toLowerCase()
+        .replace(/^https?:\/\//, '')
+        .replace(/^www\./, '')
+        .replace(/\/+$/, '');
+    return parameters.length > 0 ? `${normalizedAddress}?${parameters.join('&')}` : normalizedAddress;
+}
+
+// Query parameters added by campaigns, ads and share buttons, which don't change the page.
+function isTrackingParameter(name) {
+    const trackingParameters = ['fbclid', 'gclid', 'dclid', 'msclkid', 'mc_cid', 'mc_eid', 'igshid', '_hsenc', '_hsmi', 'ref_src'];
+    return /^utm_/i.test(name) || trackingParameters.includes(name.toLowerCase());
+}
+
+function getBigrams(text) {
+    const bigrams = [];
+    for (let i = 0; i < text.length - 1; i++) {
+        bigrams.push(text.substring(i, i + 2));
+    }
+    return bigrams;
+}
+
+// Dice coefficient of the two bigram lists: 2 * shared bigrams / total bigrams.
+function getSimilarity(bigramsA, bigramsB) {
+    if (bigramsA.length === 0 || bigramsB.length === 0) {
+        return 0;
+    }
+
+    const counts = {};
+    bigramsA.forEach(bigram => {
+        counts[bigram] = (counts[bigram] || 0) + 1;
+    });
+
+    let shared = 0;
+    bigramsB.forEach(bigram => {
+        if (counts[bigram] > 0) {
+            counts[bigram]--;
+            shared++;
+        }
+    });
+
+    return (2 * shared) / (bigramsA.length + bigramsB.length);
+}
+
+function getPairKey(titleA, titleB) {
+    return [titleA, titleB].sort().join('\n');
+}
+
+function getReviewDecisions(filePath) {
+    const decisions = {};
+    if (!fs.existsSync(filePath)) {
+        return decisions;
+    }
+
+    const review = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    (review.pairs || []).forEach(pair => {
+        if (pair.merge === true || pair.merge === false) {
+            decisions[getPairKey(normalizeTitle(pair.titles[0]), normalizeTitle(pair.titles[1]))] = {
+                merge: pair.merge,
+                pair,
+                seen: false
+            };
+        }
+    });
+    return decisions;
+}
@@ -0,0 +1,164 @@
+/*
+Reads the package metadata of an EPUB file, entirely offline, for import_books.js.
+
+An EPUB is a zip archive. META-INF/container.xml inside it names the OPF package file, whose <metadata> element holds
+Dublin Core fields such as <dc:title> and <dc:creator>. This module reads just those two files from the archive (using
+zlib for deflated entries) and returns:
+{
+    "title": "Real Book Title", // "" if missing
+    "authors": ["Author One", "Author Two"],
+    "publisher": "Publisher",   // "" if missing
+    "published": "2015-03-01",  // dc:date as YYYY, YYYY-MM or YYYY-MM-DD; "" if missing or not a date
+    "language": "en",           // "" if missing
+    "subjects": ["Computers", "Programming"]
+}
+getEpubMetadata() returns null if the file isn't a readable EPUB.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const htmlparser2 = require('htmlparser2');
+
+const DomUtils = htmlparser2.DomUtils;
+
+module.exports = {
+    getEpubMetadata
+};
+
+function getEpubMetadata(filePath) {
+    try {
+        const zipEntries = getZipEntries(fs.readFileSync(filePath));
+
+        const container = parseXml(readZipEntry(zipEntries, 'META-INF/container.xml'));
+        const rootFile = findElements(container, 'rootfile')[0];
+        const opfPath = rootFile ? DomUtils.getAttributeValue(rootFile, 'full-path') : '';
+        if (!opfPath) {
+            return null;
+        }
+
+        const opf = parseXml(readZipEntry(zipEntries, path.posix.normalize(opfPath)));
+        const metadata = findElements(opf, 'metadata')[0];
+        if (!metadata) {
+            return null;
+        }
+
+        return {
+            title: getTexts(metadata, 'title')[0] || '',
+            authors: getTexts(metadata, 'creator'),
+            publisher: getTexts(metadata, 'publisher')[0] || '',
+            published: parseEpubDate(getTexts(metadata, 'date')[0]),
+            language: getTexts(metadata, 'language')[0] || '',
+            subjects: getTexts(metadata, 'subject')
+        };
+    } catch (err) {
+        return null;
+    }
+}
+
+// Parse a dc:date into YYYY, YYYY-MM or YYYY-MM-DD, keeping its precision. Besides the ISO dates the EPUB spec asks
+// for, dates such as "March 2015", "1 March 2015" and "March 1, 2015" are written by some tools; anything else is "".
+function parseEpubDate(value) {
+    const text = (value || '').trim();
+    const isoMatch = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?(?:$|T)/.exec(text);
+    if (isoMatch) {
+        return toPartialDate(isoMatch[1], isoMatch[2], isoMatch[3]);
+    }
+
+    const monthNames = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october',
+        'november', 'december'];
+    const textMatch = /^(?:(\d{1,2})\s+)?([a-z]{3,})\.?\s+(?:(\d{1,2}),?\s+)?(\d{4})$/i.exec(text);
+    const month = textMatch ? monthNames.findIndex(name => name.startsWith(textMatch[2].toLowerCase())) + 1 : 0;
+    if (month > 0) {
+        const day = textMatch[1] || textMatch[3];
+        return toPartialDate(textMatch[4], String(month).padStart(2, '0'), day ? day.padStart(2, '0') : undefined);
+    }
+
+    return '';
+}
+
+// Return the date as YYYY, YYYY-MM or YYYY-MM-DD, or "" if it doesn't exist (e.g. month 13).
+function toPartialDate(year, month, day) {
+    const date = new Date(Date.UTC(parseInt(year, 10), parseInt(month || '01', 10) - 1, parseInt(day || '01', 10)));
+    if (isNaN(date) || date.getUTCMonth() !== parseInt(month || '01', 10) - 1 || date.getUTCDate() !== parseInt(day || '01', 10)) {
+        return '';
+    }
+    return [year, month, day].filter(part => part !== undefined).join('-');
+}
+
+function parseXml(xml) {
+    return htmlparser2.parseDocument(xml, { xmlMode: true });
+}
+
+// Find elements by local name, ignoring namespace prefixes such as "dc:" and case.
+function findElements(node, localName) {
+    return DomUtils.findAll(element => {
+        return element.name.split(':').pop().toLowerCase() === localName;
+    }, DomUtils.getChildren(node));
+}
+
+function getTexts(node, localName) {
+    return findElements(node, localName)
+        .map(element => DomUtils.textContent(element).replace(/\s+/g, ' ').trim())
+        .filter(text => text.length > 0);
+}
+
+// Read the zip central directory and return a mapping of entry name to where and how its data is stored.
+function getZipEntries(buffer) {
+    // The end of central directory record is at least 22 bytes and may be followed by a comment of up to 64 KB.
+    let endOffset = -1;
+    for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xffff); offset--) {
+        if (buffer.readUInt32LE(offset) === 0x06054b50) {
+            endOffset = offset;
+            break;
+        }
+    }
+    if (endOffset < 0) {
+        throw new Error('Not a zip file');
+    }
+
+    const entryCount = buffer.readUInt16LE(endOffset + 10);
+    let offset = buffer.readUInt32LE(endOffset + 16);
+
+    const entries = {};
+    for (let i = 0; i < entryCount; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+            throw new Error('Corrupt zip central directory');
+        }
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        entries[name] = {
+            buffer,
+            method: buffer.readUInt16LE(offset + 10),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            localHeaderOffset: buffer.readUInt32LE(offset + 42)
+        };
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+function readZipEntry(entries, name) {
+    const entry = entries[name];
+    if (!entry) {
+        throw new Error(`Missing zip entry ${name}`);
+    }
+
+    // The local header repeats the name and may have a different extra field length than the central directory.
+    const buffer = entry.buffer;
+    const headerOffset = entry.localHeaderOffset;
+    const dataOffset = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+    const data = buffer.subarray(dataOffset, dataOffset + entry.compressedSize);
+
+    switch (entry.method) {
+        case 0:
+            return data.toString('utf8');
+        case 8:
+            return zlib.inflateRawSync(data).toString('utf8');
+        default:
+            throw new Error(`Unsupported zip compression method ${entry.method}`);
+    }
+}
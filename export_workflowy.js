@@ -1,19 +1,78 @@
 /*
 This script takes the output JSON written by import_trello.js and exports it to the OPML format used by Workflowy.
-It takes one command line argument which is the full path of the output JSON file.
-It writes a file to the same directory as the output JSON file with the same name but with a .opml extension.
+It takes the following command line arguments:
+1. Full path of the output JSON file.
+2. Owner email address written to the OPML head.
+3. (optional) Which item date drives the year/month grouping and the order of cards: "created" (default) or
+   "lastActivity". Items without a lastActivity date fall back to their created date.
+4. (optional) How to group cards (see "GROUPING" below); defaults to "year,month".
+5. (optional) Comma-separated output formats (see "OTHER OUTPUT FORMATS" below); defaults to "opml".
+6. (optional) Path of a snapshot to export the delta against (see "DELTA MODE" below).
+It writes a file per output format to the same directory as the output JSON file with the same name but with the
+format's extension: .opml, .html, .txt or .md.
+
+DELTA MODE:
+When a snapshot is given, only the items that aren't in it yet are exported, still grouped the same way (by year and
+month by default), so they can be pasted into Workflowy next to the cards already there. The snapshot is either a copy
+of the output JSON file from a previous export (.json), or an OPML file: a previous export, or an OPML export of the
+"LEARNING DB" node from Workflowy (read as import_workflowy.js does, see workflowy_opml.js). Items are matched to the
+snapshot by id (JSON snapshots only), then by URL, then by title (ignoring case) and type.
+The files are written with ".delta" before the extension (e.g. tech_learning_materials.delta.opml), along with a
+report, tech_learning_materials.delta_report.json, listing:
+- "new": the exported items
+- "changed": the items whose title, url, type, status, tags, description, authors or formats differ from the snapshot,
+  with the snapshot and current value of each differing field (in either direction: the item may have been edited in
+  Workflowy since the snapshot was exported)
+- "disappeared": the snapshot's items that no longer match any item
 
 FORMAT OF OUTPUT OPML FILE:
-- Cards will be grouped by year of creation, then by month of creation.
+- By default, cards will be grouped by year of creation, then by month of creation (or by last activity, see
+  arguments above); see "GROUPING" below for other ways to group them.
 - Year will be simple integer, e.g. 2019.
 - Month will be full name of month in all caps.
 - Both years and months will be sorted in descending order, latest to earliest.
 - Cards within each month will also be in descending order by creation.
 
+GROUPING:
+The grouping argument is a comma-separated list of levels, outermost first, each optionally followed by ":asc" or
+":desc" for the order of the groups at that level. E.g. "tag,type" groups cards by primary tag, then by type within
+each tag, and "type:desc,year" groups by type (in reverse order), then by year. "none" lists the cards without any
+grouping. Available levels:
+- year: year of the grouping date, e.g. 2019 (default order: descending)
+- month: full name of month of the grouping date in all caps, e.g. FEBRUARY (default order: descending)
+- tag: the card's primary (first) tag, or "(no tag)" (default order: ascending)
+- type: the card's type with its emoji, e.g. "📕 book" (default order: ascending)
+- location: the card's location, e.g. "kindle", or "(no location)" (default order: ascending)
+- board: the Trello board the card came from, or "(no board)" (default order: ascending)
+Cards within the innermost group are always in descending order by grouping date.
+
 FORMAT PER CARD:
-* {title - if url exists, title will be a link to the url} | {%TYPE_TAG%}
-  (SUBTITLE) - {tags, separated by single space - each with '#' in front so it's a Workflowy tag} | {description}
-  (if no tags, do not include the | character before the description)
+* {title - if url exists, title will be a link to the url}[ by {authors, comma-separated}] | {%TYPE_TAG%} [{%STATUS_TAG%}]
+  (SUBTITLE) - {tags, separated by single space - each with '#' in front so it's a Workflowy tag} | Formats: {formats, comma-separated} | {description} | 🆔 {item id}
+  (any part that is empty is left out together with its | separator; formats only apply to downloaded books)
+The item id lets import_workflowy.js and the delta mode match the card to its item even after its title or URL was
+edited in Workflowy; it's left out of the markdown output, which isn't read back.
+
+%STATUS_TAG% is the item's status as a Workflowy tag (e.g. #in-progress), omitted for "backlog" (or missing) status.
+Items with status "done" or "archived" are marked _complete="true".
+
+CHILDREN PER CARD:
+- Each checklist on the card becomes a child outline named after the checklist.
+- Each checklist entry becomes a child outline of its checklist; completed entries are marked _complete="true".
+- Each comment becomes a child outline after the checklists, oldest first, in this format:
+  * 💬 {date as YYYY-MM-DD} | {author}
+    (SUBTITLE) - {comment text}
+
+OTHER OUTPUT FORMATS:
+All formats render the same grouped tree, with the same card text, notes, children, type emoji and tags as the OPML:
+- opml: the OPML file described above.
+- html: a nested <ul> list (like the ones the Mammoth bundle importer, now import_course_catalog.js, used to write)
+  that can be pasted into Workflowy; links are real links, notes are in <span class="note">, and completed nodes have
+  class "done".
+- text: Workflowy's plain-text format: "- " bullets indented two spaces per level, notes on the next line in double
+  quotes, "[COMPLETE]" in front of completed nodes, and links written as the URL in parentheses after the title.
+- markdown: for the team wiki; groups become headings (## for the outermost level), cards become bullets with the note
+  indented below, links become Markdown links, and completed nodes are struck through.
 
 %TYPE_TAG% will be one of the following:
 - If type is 'book': #📕
@@ -33,17 +92,17 @@ Here is a sample of what the OPML should look like:
         <outline text="LEARNING DB">
         <outline text="2021">
             <outline text="FEBRUARY">
-            <outline text="&lt;a href=&quot;https://app.pluralsight.com/library/courses/approaching-automated-security-testing-devsecops/table-of-contents&quot;&gt;Approaching Automated Security Testing in DevSecOps | Pluralsight&lt;/a&gt; | #👩‍🏫 " _note="#devops #security | Automated security testing is a hot topic, popularized by the DevSecOps movement. This course will teach you the concept, so you know what it is, what the pros and cons are, and where you can use it in your development process." />
+            <outline text="&lt;a href=&quot;https://app.pluralsight.com/library/courses/approaching-automated-security-testing-devsecops/table-of-contents&quot;&gt;Approaching Automated Security Testing in DevSecOps | Pluralsight&lt;/a&gt; | #👩‍🏫 " _note="#devops #security | Automated security testing is a hot topic, popularized by the DevSecOps movement. This course will teach you the concept, so you know what it is, what the pros and cons are, and where you can use it in your development process. | 🆔 5f1e0c2a9b3d4e0012a7c6f1" />
             </outline>
         </outline>
         <outline text="2018">
             <outline text="JUNE">
-            <outline text="&lt;a href=&quot;http://www.case-podcast.org/1-modern-css-with-jen-simmons&quot;&gt;Modern CSS with Jen Simmons - CaSE&lt;/a&gt; | #📝" _note="Stefan Tilkov talks to Jen Simmons about CSS, the standard for applying layout rules to HTML pages. Jen talks about the often misunderstood role of CSS in the Web stack, why it matters, and how it has grown ever more powerful over the course of time. Also included: Some discussion about why so many developers don’t like CSS and what to do about it, and new features coming to the CSS standard." />
-            <outline text="HTML documentation | #🔠" />
+            <outline text="&lt;a href=&quot;http://www.case-podcast.org/1-modern-css-with-jen-simmons&quot;&gt;Modern CSS with Jen Simmons - CaSE&lt;/a&gt; | #📝" _note="Stefan Tilkov talks to Jen Simmons about CSS, the standard for applying layout rules to HTML pages. Jen talks about the often misunderstood role of CSS in the Web stack, why it matters, and how it has grown ever more powerful over the course of time. Also included: Some discussion about why so many developers don’t like CSS and what to do about it, and new features coming to the CSS standard. | 🆔 5b0d7e31c4a8f20019e3b5d2" />
+            <outline text="HTML documentation | #🔠" _note="🆔 5b1a2c44d9e7f3001c8a6b07" />
             </outline>
             <outline text="JANUARY">
-            <outline text="&lt;a href=&quot;https://app.pluralsight.com/library/courses/improving-css-with-postcss/table-of-contents&quot;&gt;Improving CSS with PostCSS&lt;/a&gt; | #👩‍🏫" />
-            <outline text="&lt;a href=&quot;https://flexbox.io/&quot;&gt;What the Flexbox?!&lt;/a&gt; | #👩‍🏫" _note="#css" />
+            <outline text="&lt;a href=&quot;https://app.pluralsight.com/library/courses/improving-css-with-postcss/table-of-contents&quot;&gt;Improving CSS with PostCSS&lt;/a&gt; | #👩‍🏫" _note="🆔 5a4f8e19b2c6d30014f7e9a3" />
+            <outline text="&lt;a href=&quot;https://flexbox.io/&quot;&gt;What the Flexbox?!&lt;/a&gt; | #👩‍🏫" _note="#css | 🆔 5a3b9d07e1f4c20011d8b6e5" />
             </outline>
         </outline>
         </outline>
@@ -55,6 +114,8 @@ const fs = require('fs');
 const path = require('path');
 const util = require('util');
 const escape = require('escape-html');
+const itemsSchema = require('./items_schema');
+const workflowyOpml = require('./workflowy_opml');
 
 const readFile = util.promisify(fs.readFile);
 const writeFile = util.promisify(fs.writeFile);
@@ -62,54 +123,299 @@ const writeFile = util.promisify(fs.writeFile);
 const args = process.argv.slice(2);
 const inputFilePath = args[0];
 const email = args[1];
+const groupingDateField = args[2] ? args[2] : 'created';
+const groupingLevels = getGroupingLevels(args[3] ? args[3] : 'year,month');
+const outputFormats = getOutputFormats(args[4] ? args[4] : 'opml');
+const snapshotFilePath = args[5] ? args[5] : '';
+
+if (groupingDateField !== 'created' && groupingDateField !== 'lastActivity') {
+    console.error(`Unknown grouping date "${groupingDateField}"; expected "created" or "lastActivity".`);
+    process.exit(1);
+}
 
 const items = require(inputFilePath);
-const outputPath = path.join(path.dirname(inputFilePath), path.basename(inputFilePath, '.json') + '.opml');
+itemsSchema.assertValidItems(items, 'export_workflowy.js');
+
+// In delta mode, only export the items that aren't in the snapshot yet.
+const delta = snapshotFilePath ? getDelta(items.items, snapshotFilePath) : null;
+const outputBasePath = path.join(path.dirname(inputFilePath), path.basename(inputFilePath, '.json'));
 
-const output = {
-    items: []
-};
+// Build new data structure grouping cards by the grouping levels.
+const tree = getTree(delta ? delta.newItems : items.items, groupingLevels);
 
-// For each item, compute that item's OPML output text and add as new 'opml' property to that item.
-items.items.forEach(item => {
-    item.opml = getItemOpml(item);
+if (delta) {
+    const reportPath = outputBasePath + '.delta_report.json';
+    writeFile(reportPath, JSON.stringify(getDeltaReport(delta), null, 2))
+        .then(() => {
+            console.log(`Delta against ${snapshotFilePath}: ${delta.newItems.length} new, ${delta.changes.length} changed, ${delta.disappearedItems.length} disappeared item(s)`);
+            console.log(`Wrote delta report to ${reportPath}`);
+        })
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        });
+}
+
+// Traverse the grouped data structure once per output format and write each to its own file.
+outputFormats.forEach(outputFormat => {
+    const outputPath = outputBasePath + (delta ? '.delta' : '') + outputFormat.extension;
+
+    writeFile(outputPath, outputFormat.render(tree))
+        .then(() => {
+            console.log(`Exported Workflowy ${outputFormat.name} to ${outputPath}`);
+        })
+        .catch(err => {
+            console.error(err);
+            process.exitCode = 1;
+        });
 });
 
-// Build new data structure grouping cards by year and month.
-const years = {};
-items.items.forEach(item => {
-    const created = new Date(item.created);
-    const year = created.getFullYear();
-    // Let month here be the simple month integer (for later sorting).
-    const month = created.getMonth() + 1;
-    if (!years[year]) {
-        years[year] = {};
+function getGroupingDate(item) {
+    return new Date(item[groupingDateField] || item.created);
+}
+
+// Compare the items against the snapshot: return the items not in it, the changes to the items in it, and the
+// snapshot's items that no longer match any item.
+function getDelta(items, snapshotPath) {
+    const fromJson = path.extname(snapshotPath).toLowerCase() === '.json';
+    const snapshotItems = fromJson
+        ? JSON.parse(fs.readFileSync(snapshotPath, 'utf8')).items
+        : workflowyOpml.readCards(snapshotPath, 'LEARNING DB').map(card => card.item);
+
+    // Cards exported before they carried their item id are only matched by URL or title.
+    const snapshotItemsById = {};
+    snapshotItems.forEach(snapshotItem => {
+        if (snapshotItem.id) {
+            snapshotItemsById[snapshotItem.id] = snapshotItem;
+        }
+    });
+
+    const delta = { newItems: [], changes: [], disappearedItems: [] };
+    const matchedSnapshotItems = new Set();
+    items.forEach(item => {
+        const idMatch = [item.id].concat(item.mergedIds || []).find(id => snapshotItemsById[id]);
+        const snapshotItem = idMatch ? snapshotItemsById[idMatch] : workflowyOpml.findMatchingItem(snapshotItems, item);
+        if (!snapshotItem) {
+            delta.newItems.push(item);
+            return;
+        }
+
+        matchedSnapshotItems.add(snapshotItem);
+        const fields = getChangedFields(snapshotItem, item);
+        if (Object.keys(fields).length > 0) {
+            delta.changes.push({ item, fields });
+        }
+    });
+    delta.disappearedItems = snapshotItems.filter(snapshotItem => !matchedSnapshotItems.has(snapshotItem));
+
+    return delta;
+}
+
+// Return { field: { snapshot, current } } for each field shown in Workflowy that differs between the two items.
+function getChangedFields(snapshotItem, item) {
+    const fields = {};
+    ['title', 'url', 'type', 'status', 'tags', 'description', 'authors', 'formats'].forEach(field => {
+        const snapshotValue = getComparableValue(snapshotItem, field);
+        const currentValue = getComparableValue(item, field);
+        if (JSON.stringify(snapshotValue) !== JSON.stringify(currentValue)) {
+            fields[field] = { snapshot: snapshotValue, current: currentValue };
+        }
+    });
+    return fields;
+}
+
+function getComparableValue(item, field) {
+    switch (field) {
+        case 'tags':
+            // Tags added in Workflowy may end up in another order, which doesn't matter.
+            return (item.tags || []).slice().sort();
+        case 'authors':
+        case 'formats':
+            return item[field] || [];
+        case 'status':
+            return item.status || 'backlog';
+        default:
+            return item[field] || '';
+    }
+}
+
+function getDeltaReport(delta) {
+    return {
+        snapshot: snapshotFilePath,
+        new: delta.newItems.map(item => {
+            return { id: item.id, title: item.title };
+        }),
+        changed: delta.changes.map(change => {
+            return { id: change.item.id, title: change.item.title, fields: change.fields };
+        }),
+        disappeared: delta.disappearedItems.map(snapshotItem => {
+            return { id: snapshotItem.id, title: snapshotItem.title, url: snapshotItem.url, type: snapshotItem.type };
+        })
+    };
+}
+
+function getGroupingLevels(grouping) {
+    if (grouping === 'none') {
+        return [];
     }
-    if (!years[year][month]) {
-        years[year][month] = [];
+
+    const defaultOrders = { year: 'desc', month: 'desc', tag: 'asc', type: 'asc', location: 'asc', board: 'asc' };
+    return grouping.split(',').map(level => {
+        const [name, order] = level.trim().split(':');
+        if (!defaultOrders[name] || (order && order !== 'asc' && order !== 'desc')) {
+            console.error(`Unknown grouping level "${level}"; expected one of ${Object.keys(defaultOrders).join(', ')}, optionally followed by ":asc" or ":desc".`);
+            process.exit(1);
+        }
+        return { name, order: order || defaultOrders[name] };
+    });
+}
+
+// Return the group of the item at the given level: a sort key and the text shown for the group.
+function getGroup(item, levelName) {
+    switch (levelName) {
+        case 'year': {
+            const year = getGroupingDate(item).getFullYear();
+            return { key: year, text: `${year}` };
+        }
+        case 'month': {
+            // Let the key be the simple month integer (for sorting).
+            const month = getGroupingDate(item).getMonth() + 1;
+            const monthName = new Date(2000, month - 1, 1).toLocaleString('en-us', { month: 'long' }).toUpperCase();
+            return { key: month, text: monthName };
+        }
+        case 'tag':
+            return item.tags.length > 0 ? { key: item.tags[0], text: item.tags[0] } : { key: '', text: '(no tag)' };
+        case 'type':
+            return { key: item.type, text: `${getTypeTag(item.type).substring(1)} ${item.type}` };
+        case 'location':
+            return item.location ? { key: item.location, text: item.location } : { key: '', text: '(no location)' };
+        case 'board':
+            return item.board ? { key: item.board, text: item.board } : { key: '', text: '(no board)' };
     }
-    years[year][month].push(item);
-});
+}
+
+// Build a tree of groups: each node has "text", "children" (sorted groups of the next level) and, at the innermost
+// level, "items" (sorted by grouping date, newest first).
+function getTree(items, levels) {
+    if (levels.length === 0) {
+        return {
+            text: '',
+            children: [],
+            items: items.slice().sort((a, b) => getGroupingDate(b) - getGroupingDate(a))
+        };
+    }
+
+    const level = levels[0];
+    const groups = {};
+    items.forEach(item => {
+        const group = getGroup(item, level.name);
+        if (!groups[group.key]) {
+            groups[group.key] = { key: group.key, text: group.text, items: [] };
+        }
+        groups[group.key].items.push(item);
+    });
+
+    const children = Object.keys(groups).map(key => groups[key]).sort((a, b) => {
+        // Groups without a value ("(no tag)" etc.) always go last.
+        if (a.key === '' || b.key === '') {
+            return (a.key === '') - (b.key === '');
+        }
+        const comparison = typeof a.key === 'number' ? a.key - b.key : a.key.localeCompare(b.key);
+        return level.order === 'desc' ? -comparison : comparison;
+    }).map(group => {
+        const child = getTree(group.items, levels.slice(1));
+        child.text = group.text;
+        return child;
+    });
+
+    return { text: '', children, items: [] };
+}
 
-// Traverse the year/month data structure and build the final OPML text.
-const opmlText = getTreeOpml(years);
+function getOutputFormats(formats) {
+    const allOutputFormats = {
+        opml: { name: 'OPML', extension: '.opml', render: getTreeOpml },
+        html: { name: 'HTML', extension: '.html', render: getTreeHtml },
+        text: { name: 'text', extension: '.txt', render: getTreeText },
+        markdown: { name: 'Markdown', extension: '.md', render: getTreeMarkdown }
+    };
 
-// Write OPML to file.
-writeFile(outputPath, opmlText)
-    .then(() => {
-        console.log(`Exported Workflowy OPML to ${outputPath}`);
-    })
-    .catch(err => {
-        console.error(err);
+    return formats.split(',').map(format => {
+        const outputFormat = allOutputFormats[format.trim()];
+        if (!outputFormat) {
+            console.error(`Unknown output format "${format}"; expected one of ${Object.keys(allOutputFormats).join(', ')}.`);
+            process.exit(1);
+        }
+        return outputFormat;
     });
+}
+
+// Turn a tree node into the outline nodes of its groups followed by its items.
+function getOutlineNodes(treeNode) {
+    const groupNodes = treeNode.children.map(child => {
+        return { title: child.text, url: '', suffix: '', note: '', complete: false, children: getOutlineNodes(child) };
+    });
+    return groupNodes.concat(treeNode.items.map(item => getItemNode(item)));
+}
+
+// Describe an item as a format-independent outline node: the title (linked to url, if any) followed by suffix, a
+// note, whether it's complete, and child nodes for its checklists and comments.
+function getItemNode(item) {
+    const title = item.title;
+    const url = item.url;
+    const type = item.type;
+    const tags = item.tags;
+    const description = item.description;
+
+    const typeTag = getTypeTag(type);
+    const authorsText = item.authors && item.authors.length > 0 ? ` by ${item.authors.join(', ')}` : '';
+    const tagsText = tags.length > 0 ? `${tags.map(tag => '#' + tag).join(' ')}` : '';
+    const formatsText = item.formats && item.formats.length > 0 ? `Formats: ${item.formats.join(', ')}` : '';
+    const descriptionText = description ? description : '';
+    const statusTag = getStatusTag(item.status);
+
+    return {
+        title,
+        url,
+        suffix: statusTag ? `${authorsText} | ${typeTag} ${statusTag}` : `${authorsText} | ${typeTag}`,
+        note: [tagsText, formatsText, descriptionText].filter(text => text.length > 0).join(' | '),
+        id: item.id,
+        complete: item.status === 'done' || item.status === 'archived',
+        children: getChecklistNodes(item.checklists || []).concat(getCommentNodes(item.comments || []))
+    };
+}
 
-function getTreeOpml(years) {
+function getChecklistNodes(checklists) {
+    return checklists.map(checklist => {
+        return {
+            title: checklist.name,
+            url: '',
+            suffix: '',
+            note: '',
+            complete: false,
+            children: checklist.items.map(checklistItem => {
+                return { title: checklistItem.name, url: '', suffix: '', note: '', complete: checklistItem.complete, children: [] };
+            })
+        };
+    });
+}
+
+function getCommentNodes(comments) {
+    return comments.map(comment => {
+        const date = new Date(comment.date).toISOString().substring(0, 10);
+        const authorText = comment.author ? ` | ${comment.author}` : '';
+        return { title: `💬 ${date}${authorText}`, url: '', suffix: '', note: comment.text, complete: false, children: [] };
+    });
+}
+
+// The note of a node in the formats pasted into Workflowy: cards' notes end with their item id.
+function getWorkflowyNote(node) {
+    return [node.note, node.id ? `🆔 ${node.id}` : ''].filter(text => text.length > 0).join(' | ');
+}
+
+function getTreeOpml(tree) {
     // Indent OPML with proper whitespace.
     const indent = '    ';
     const indent2 = indent + indent;
-    const indent3 = indent2 + indent;
-    const indent4 = indent3 + indent;
-    const indent5 = indent4 + indent;
 
     var opmlText = '<?xml version="1.0"?>\n';
     opmlText += '<opml version="2.0">\n';
@@ -117,57 +423,146 @@ function getTreeOpml(years) {
     opmlText += `${indent2}<ownerEmail>${email}</ownerEmail>\n`;
     opmlText += `${indent}</head>\n`;
     opmlText += `${indent}<body>\n`;
+    getOutlineNodes(tree).forEach(node => {
+        opmlText += getNodeOpml(node, indent2);
+    });
+    opmlText += `${indent}</body>\n`;
+    opmlText += '</opml>';
 
-    // Loop through each year.
-    Object.keys(years).sort().reverse().forEach(year => {
-        opmlText += `${indent2}<outline text="${year}">\n`;
+    return opmlText;
+}
 
-        // Loop through each month.
-        Object.keys(years[year]).sort().reverse().forEach(month => {
-            const monthName = new Date(year, month - 1, 1).toLocaleString('en-us', { month: 'long' }).toUpperCase();
+// Write a node and its children, one more indent per level.
+function getNodeOpml(node, indent) {
+    // The title is escaped as a whole, so the link ends up as literal HTML in the outline text, which Workflowy renders.
+    const titleText = node.url ? `<a href="${node.url}">${node.title}</a>` : node.title;
+    const note = getWorkflowyNote(node);
+    const noteAttributeText = note.length > 0 ? ` _note="${escapeAttribute(note)}"` : '';
+    const completeAttributeText = node.complete ? ' _complete="true"' : '';
+    const textAttributeText = `text="${escapeAttribute(titleText + node.suffix)}"`;
+    const attributesText = `${textAttributeText}${noteAttributeText}${completeAttributeText}`;
 
-            opmlText += `${indent3}<outline text="${monthName}">\n`;
+    if (node.children.length === 0) {
+        return `${indent}<outline ${attributesText}/>\n`;
+    }
 
-            // Loop through each item.
-            years[year][month].sort((a, b) => {
-                return new Date(b.created) - new Date(a.created);
-            }).forEach(item => {
-                opmlText += `${indent4}${item.opml}\n`;
-            });
+    var opmlText = `${indent}<outline ${attributesText}>\n`;
+    node.children.forEach(child => {
+        opmlText += getNodeOpml(child, indent + '    ');
+    });
+    opmlText += `${indent}</outline>\n`;
 
-            opmlText += `${indent3}</outline>\n`;
-        });
+    return opmlText;
+}
 
-        opmlText += `${indent2}</outline>\n`;
+// Workflowy pastes nested HTML lists as nested nodes; notes go in a "note" span and completed nodes get class "done".
+function getTreeHtml(tree) {
+    var htmlText = '<!DOCTYPE html>\n';
+    htmlText += '<html>\n';
+    htmlText += '  <head>\n';
+    htmlText += '    <meta charset="UTF-8">\n';
+    htmlText += '  </head>\n';
+    htmlText += '  <body>\n';
+    htmlText += '    <ul>\n';
+    getOutlineNodes(tree).forEach(node => {
+        htmlText += getNodeHtml(node, '      ');
     });
+    htmlText += '    </ul>\n';
+    htmlText += '  </body>\n';
+    htmlText += '</html>\n';
 
-    opmlText += `${indent}</body>\n`;
-    opmlText += '</opml>';
+    return htmlText;
+}
 
-    return opmlText;
+function getNodeHtml(node, indent) {
+    const titleText = node.url ? `<a href="${escape(node.url)}">${escape(node.title)}</a>` : escape(node.title);
+    const note = getWorkflowyNote(node);
+    const noteText = note.length > 0 ? `<br><span class="note">${escape(note)}</span>` : '';
+    const classText = node.complete ? ' class="done"' : '';
+
+    if (node.children.length === 0) {
+        return `${indent}<li${classText}>${titleText}${escape(node.suffix)}${noteText}</li>\n`;
+    }
+
+    var htmlText = `${indent}<li${classText}>${titleText}${escape(node.suffix)}${noteText}\n`;
+    htmlText += `${indent}  <ul>\n`;
+    node.children.forEach(child => {
+        htmlText += getNodeHtml(child, indent + '    ');
+    });
+    htmlText += `${indent}  </ul>\n`;
+    htmlText += `${indent}</li>\n`;
+
+    return htmlText;
 }
 
-function getItemOpml(item) {
-    const title = item.title;
-    const url = item.url;
-    const type = item.type;
-    const tags = item.tags;
-    const description = item.description;
+// Workflowy's plain-text paste format: "- " bullets indented two spaces per level, the note on the following line in
+// double quotes, and "[COMPLETE]" in front of completed nodes. Links become the URL in parentheses after the title.
+function getTreeText(tree) {
+    return getOutlineNodes(tree).map(node => getNodeText(node, '')).join('');
+}
 
-    const typeTag = getTypeTag(type);
-    const titleText = url ? `<a href="${url}">${title}</a>` : title;
-    const tagsText = tags.length > 0 ? `${tags.map(tag => '#' + tag).join(' ')}` : '';
-    const descriptionDelimiter = tagsText.length > 0 && description ? ' | ' : '';
-    const descriptionText = description ? description : '';
+function getNodeText(node, indent) {
+    const titleText = node.url ? `${node.title} (${node.url})` : node.title;
+    const completeText = node.complete ? '[COMPLETE] ' : '';
 
-    var fullTitleText = `${titleText} | ${typeTag}`;
-    var noteText = escape(`${tagsText}${descriptionDelimiter}${descriptionText}`);
+    const note = getWorkflowyNote(node);
+    var text = `${indent}- ${completeText}${singleLine(titleText + node.suffix)}\n`;
+    if (note.length > 0) {
+        text += `${indent}  "${singleLine(note)}"\n`;
+    }
+    node.children.forEach(child => {
+        text += getNodeText(child, indent + '  ');
+    });
 
-    var escapedTitleText = escape(fullTitleText);
-    var noteAttributeText = noteText.length > 0 ? ` _note="${noteText}"` : '';
-    var opmlText = `<outline text="${escapedTitleText}"${noteAttributeText}/>`;
+    return text;
+}
 
-    return opmlText;
+// Markdown for the team wiki: groups become headings (starting at level 2), items become nested bullets with the
+// note as an indented line below, and completed nodes are struck through.
+function getTreeMarkdown(tree) {
+    return getTreeNodeMarkdown(tree, 2).replace(/^\n+/, '').replace(/\n{3,}/g, '\n\n');
+}
+
+function getTreeNodeMarkdown(treeNode, headingLevel) {
+    var markdownText = '';
+
+    treeNode.children.forEach(child => {
+        markdownText += `\n${'#'.repeat(Math.min(headingLevel, 6))} ${escapeMarkdown(child.text)}\n\n`;
+        markdownText += getTreeNodeMarkdown(child, headingLevel + 1);
+    });
+    treeNode.items.forEach(item => {
+        markdownText += getNodeMarkdown(getItemNode(item), '');
+    });
+
+    return markdownText;
+}
+
+function getNodeMarkdown(node, indent) {
+    const titleText = node.url ? `[${escapeMarkdown(node.title)}](${node.url.replace(/[()]/g, encodeURIComponent)})` : escapeMarkdown(node.title);
+    const text = `${titleText}${escapeMarkdown(node.suffix)}`;
+
+    var markdownText = `${indent}- ${node.complete ? `~~${text}~~` : text}\n`;
+    if (node.note.length > 0) {
+        markdownText += `${indent}  ${escapeMarkdown(singleLine(node.note))}\n`;
+    }
+    node.children.forEach(child => {
+        markdownText += getNodeMarkdown(child, indent + '  ');
+    });
+
+    return markdownText;
+}
+
+// XML parsers turn line breaks and tabs in attribute values into spaces, so they're written as character references.
+function escapeAttribute(text) {
+    return escape(text).replace(/\r/g, '&#13;').replace(/\n/g, '&#10;').replace(/\t/g, '&#9;');
+}
+
+function escapeMarkdown(text) {
+    return text.replace(/([\\`*_[\]<>~])/g, '\\$1');
+}
+
+function singleLine(text) {
+    return text.replace(/\s*\r?\n\s*/g, ' ');
 }
 
 function getTypeTag(type) {
@@ -186,3 +581,10 @@ function getTypeTag(type) {
             return '#❓';
     }
 }
+
+function getStatusTag(status) {
+    if (!status || status === 'backlog') {
+        return '';
+    }
+    return '#' + status;
+}
@@ -0,0 +1,96 @@
+/*
+Minimal gitignore-style matching for import_books.js, so that a .booksignore file in the books directory can keep
+files and folders out of the import.
+
+Supported syntax (a subset of .gitignore):
+- blank lines and lines starting with "#" are ignored
+- "*" matches anything except "/", "?" matches one character except "/", "**" matches across folders
+- a pattern ending in "/" only matches folders
+- a pattern containing a "/" (other than a trailing one) is matched against the whole path relative to the books
+  directory; otherwise it is matched against the file or folder name at any depth
+- a pattern starting with "!" re-includes what an earlier pattern excluded; the last matching pattern wins
+  (as in git, nothing inside an ignored folder can be re-included, because the folder isn't scanned at all)
+Matching ignores case, as file names on Windows and macOS do.
+
+Sample .booksignore:
+    # Cover images and sample code
+    *.jpg
+    *.png
+    *code*.zip
+    Samples/
+    !Diagrams/*.png
+*/
+
+const fs = require('fs');
+
+module.exports = {
+    loadIgnoreRules
+};
+
+// Read an ignore file (if it exists) and return a function telling whether a relative path is ignored; the return
+// value is the matching pattern, so callers can report why, or null if the path is not ignored.
+function loadIgnoreRules(filePath) {
+    const rules = fs.existsSync(filePath) ? getRules(fs.readFileSync(filePath, 'utf8')) : [];
+
+    return (relativePath, isDirectory) => {
+        const name = relativePath.split('/').pop();
+        let matchingRule = null;
+
+        rules.forEach(rule => {
+            if (rule.directoryOnly && !isDirectory) {
+                return;
+            }
+            if (rule.regex.test(rule.anchored ? relativePath : name)) {
+                matchingRule = rule.negated ? null : rule;
+            }
+        });
+
+        return matchingRule ? matchingRule.pattern : null;
+    };
+}
+
+function getRules(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line.length > 0 && !line.startsWith('#'))
+        .map(line => {
+            const negated = line.startsWith('!');
+            let pattern = negated ? line.substring(1) : line;
+            const directoryOnly = pattern.endsWith('/');
+            pattern = pattern.replace(/\/+$/, '');
+            const anchored = pattern.includes('/');
+            pattern = pattern.replace(/^\//, '');
+
+            return {
+                pattern: line,
+                negated,
+                directoryOnly,
+                anchored,
+                regex: new RegExp(`^${globToRegex(pattern)}$`, 'i')
+            };
+        });
+}
+
+function globToRegex(glob) {
+    let regex = '';
+    for (let i = 0; i < glob.length; i++) {
+        const character = glob[i];
+        if (character === '*' && glob[i + 1] === '*') {
+            // "**/" matches zero or more folders; a bare "**" matches anything.
+            if (glob[i + 2] === '/') {
+                regex += '(?:.*/)?';
+                i += 2;
+            } else {
+                regex += '.*';
+                i++;
+            }
+        } else if (character === '*') {
+            regex += '[^/]*';
+        } else if (character === '?') {
+            regex += '[^/]';
+        } else {
+            regex += character.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return regex;
+}
@@ -0,0 +1,202 @@
+/*
+This script imports browser bookmarks into the output JSON file (see import_trello.js for its format), from the
+standard Netscape bookmarks HTML file that Chrome, Firefox and Edge export ("Export bookmarks" in their bookmark
+managers).
+
+Command-line arguments:
+1. Path to the bookmarks HTML file.
+2. Path to the tag mapping file of the same format as that used in import_trello.js.
+3. Path to the output JSON file.
+4. (optional) JSON file containing the folder allowlist (see note "On the folder allowlist" below); defaults to
+   bookmark_folders.json in the same directory as the bookmarks file.
+
+Each bookmark becomes an item with:
+- id: a hash of the bookmark's URL, so importing the same bookmark again (even from another browser) updates it; an
+  item from another source with the same URL is merged with it by dedupe_data.js
+- title: the bookmark's name (or its URL if it has none); description: the bookmark's description, if any
+- created: the bookmark's ADD_DATE; lastActivity: its LAST_MODIFIED, if any
+- tags: from matching the names of the bookmark's folders and its title against the tag mappings
+- type: from the URL and title, the same way as for Trello cards (see item_types.js)
+- location: none; status: "backlog"
+Bookmarks that aren't http(s) URLs (e.g. "javascript:" bookmarklets) are skipped, as are bookmarks with the same URL
+as an earlier one; both are reported. Items imported from a bookmarks file with the same name before that are no longer
+in it are marked stale (see item_store.js).
+
+On the folder allowlist:
+The folder allowlist file is an array of folder paths, with the names of the folders from the top of the bookmark tree
+separated by "/", e.g. ["Bookmarks bar/Learning", "Other bookmarks/To read"]. Only bookmarks in those folders (or
+their subfolders) are imported; folder names are matched ignoring case. Without an allowlist file, every bookmark is
+imported.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const jsdom = require("jsdom");
+const { JSDOM } = jsdom;
+const tagMatching = require('./tag_matching');
+const itemStore = require('./item_store');
+const itemsSchema = require('./items_schema');
+const itemTypes = require('./item_types');
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+
+const args = process.argv.slice(2);
+const inputFilePath = args[0];
+const tagMappingsFilePath = args[1];
+const outputFilePath = args[2];
+const allowlistFilePath = args[3] ? args[3] : path.join(path.dirname(inputFilePath), 'bookmark_folders.json');
+
+const tagMappings = require(path.resolve(tagMappingsFilePath));
+const tagRules = tagMatching.getTagRules(tagMappings);
+const allowedFolderPaths = getAllowedFolderPaths(allowlistFilePath);
+const skippedBookmarks = [];
+
+const output = itemStore.loadItems(outputFilePath);
+
+const document = new JSDOM(fs.readFileSync(inputFilePath, 'utf8')).window.document;
+const rootList = document.querySelector('dl');
+if (!rootList) {
+    console.error(`No bookmarks found in ${inputFilePath}`);
+    process.exit(1);
+}
+
+const bookmarks = [];
+getBookmarksFromList(rootList, [], bookmarks);
+
+const importedItems = bookmarks.map(bookmark => {
+    const item = {
+        id: itemStore.getHashId(`bookmark\n${bookmark.url}`),
+        title: bookmark.title,
+        description: bookmark.description,
+        created: bookmark.created,
+        tags: getTags(bookmark.title, bookmark.folderNames),
+        type: itemTypes.getType(bookmark.url, bookmark.title, []),
+        url: bookmark.url,
+        location: '',
+        status: 'backlog'
+    };
+    if (bookmark.lastActivity) {
+        item.lastActivity = bookmark.lastActivity;
+    }
+    return item;
+});
+
+itemsSchema.dropInvalidItems(importedItems, 'import_bookmarks.js');
+
+const summary = itemStore.upsertItems(output, importedItems, { source: `bookmarks:${path.basename(inputFilePath)}` });
+
+// Log what was left out of the import and why.
+skippedBookmarks.forEach(skippedBookmark => {
+    console.log(`Skipped ${skippedBookmark.url}: ${skippedBookmark.reason}`);
+});
+if (allowedFolderPaths) {
+    console.log(`Imported bookmarks from folders: ${allowedFolderPaths.join(', ')}`);
+}
+
+itemsSchema.assertValidItems(output, 'import_bookmarks.js');
+
+// Write output to file.
+writeFile(outputFilePath, JSON.stringify(output, null, 2))
+    .then(() => {
+        console.log(`Imported ${bookmarks.length} bookmark(s) to ${outputFilePath}`);
+        console.log(`Added ${summary.added}, updated ${summary.updated}, unchanged ${summary.unchanged} item(s); ${summary.stale} stale item(s)`);
+    })
+    .catch(err => {
+        console.log(err);
+        process.exitCode = 1;
+    });
+
+function getAllowedFolderPaths(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    const folderPaths = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(folderPaths)) {
+        throw new Error(`Folder allowlist file ${filePath} must contain an array of folder paths.`);
+    }
+    return folderPaths;
+}
+
+// Whether bookmarks in the folder (given as the names of its folders from the top) are to be imported.
+function isAllowedFolder(folderNames) {
+    if (!allowedFolderPaths) {
+        return true;
+    }
+    return allowedFolderPaths.some(allowedFolderPath => {
+        const allowedFolderNames = allowedFolderPath.split('/').map(name => name.trim().toLowerCase())
+            .filter(name => name.length > 0);
+        return allowedFolderNames.length <= folderNames.length
+            && allowedFolderNames.every((name, index) => name === folderNames[index].trim().toLowerCase());
+    });
+}
+
+// Each entry of a bookmark list (<DL>) is a <DT> holding either a folder (an <H3> with the folder name, followed by
+// the folder's own <DL>) or a bookmark (an <A>), optionally followed by a <DD> with its description.
+function getBookmarksFromList(list, folderNames, bookmarks) {
+    Array.from(list.children).filter(child => child.tagName === 'DT').forEach(entry => {
+        const folderHeading = Array.from(entry.children).find(child => child.tagName === 'H3');
+        if (folderHeading) {
+            const subList = Array.from(entry.children).find(child => child.tagName === 'DL');
+            if (subList) {
+                getBookmarksFromList(subList, folderNames.concat(folderHeading.textContent.trim()), bookmarks);
+            }
+            return;
+        }
+
+        const link = Array.from(entry.children).find(child => child.tagName === 'A');
+        if (!link || !isAllowedFolder(folderNames)) {
+            return;
+        }
+
+        const url = (link.getAttribute('href') || '').trim();
+        if (!/^https?:\/\/\S+$/i.test(url)) {
+            skippedBookmarks.push({ url: url || '(no URL)', reason: 'not an http(s) URL' });
+            return;
+        }
+        if (bookmarks.some(bookmark => bookmark.url === url)) {
+            skippedBookmarks.push({ url, reason: 'same URL as an earlier bookmark' });
+            return;
+        }
+
+        const descriptionElement = entry.nextElementSibling && entry.nextElementSibling.tagName === 'DD'
+            ? entry.nextElementSibling
+            : null;
+
+        bookmarks.push({
+            title: link.textContent.trim() || url,
+            url,
+            description: descriptionElement ? descriptionElement.textContent.trim() : '',
+            created: getIsoDate(link.getAttribute('add_date')) || fs.statSync(inputFilePath).mtime.toISOString(),
+            lastActivity: getIsoDate(link.getAttribute('last_modified')),
+            folderNames
+        });
+    });
+}
+
+// Bookmark dates are seconds since 1970 (some browsers write milliseconds or microseconds instead).
+function getIsoDate(timestamp) {
+    const number = parseInt(timestamp, 10);
+    if (!number) {
+        return '';
+    }
+    if (number > 1e14) {
+        return new Date(number / 1000).toISOString();
+    }
+    return new Date(number > 1e11 ? number : number * 1000).toISOString();
+}
+
+function getTags(title, folderNames) {
+    // Tags from the folders come first, outermost folder first, followed by tags from the title.
+    const tags = [];
+    folderNames.concat(title).forEach(text => {
+        tagMatching.getTags(tagRules, [text]).forEach(tag => {
+            if (!tags.includes(tag)) {
+                tags.push(tag);
+            }
+        });
+    });
+    return tags;
+}
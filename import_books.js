@@ -1,6 +1,33 @@
 /*
 This is a companion script to import_trello.js. It imports books by deep-traversing a directory of books and 
 adding them to the existing output JSON file that was created by running import_trello.js.
+Each book's id is a hash of its folder relative to the books directory and its normalized file name (see below), so it
+stays the same when a copy in another format is added; books are added or updated by id (see item_store.js), so the
+script can safely be re-run; it reports how many items were added, updated and unchanged, and how many book items are
+stale because their file is no longer in the books directory.
+
+For .epub files, the title, authors, publisher, publication date, language and subjects are read from the book's
+package metadata (see epub_metadata.js); the subjects are matched against the tag mappings along with the title and
+folder names. For .pdf files, the title, authors, page count and creation date are read from the Info dictionary and
+XMP metadata (see pdf_metadata.js); the creation date is when the PDF file was made, which is often not when the book
+was published, so it is stored in "pdfCreated" rather than "published". Whatever is missing or junk falls back to the
+file name for the title and to empty values for the rest.
+
+Copies of the same book in different formats (files in the same folder whose names only differ in extension, case or
+punctuation, e.g. "Foo.pdf", "Foo.epub" and "foo.mobi"; letters and digits of any script count) are imported as one
+book. Its "formats" lists the file extensions (e.g. ["epub", "pdf"]) and "paths" the files' paths relative to the books
+directory. Metadata is taken from the first copy that has each field, by format preference (epub, pdf, mobi, azw3,
+azw, then anything else). Book items imported when the id was a hash of the preferred copy's path are given the new
+id.
+
+Which files are imported is controlled by two optional files in the books directory:
+- .booksignore: gitignore-style patterns of files and folders to leave out (see ignore_rules.js)
+- .booksextensions: the file extensions to import, one per line (e.g. ".pdf"); without it, the default list is
+  .pdf, .epub, .mobi, .azw, .azw3, .djvu, .chm and .fb2
+Hidden files and folders (names starting with ".") are always left out. Symbolic links are followed, except for broken
+links and links to folders that were already scanned (which would otherwise loop forever); links to folders are only
+followed once every real folder has been scanned, so that books get the path and tags of their real folder. Every file
+or folder that is left out is reported, with the reason, at the end of the run.
 
 Command-line arguments:
 1. Path to the directory containing the books.
@@ -11,6 +38,12 @@ Command-line arguments:
 const fs = require('fs');
 const path = require('path');
 const util = require('util');
+const tagMatching = require('./tag_matching');
+const itemStore = require('./item_store');
+const itemsSchema = require('./items_schema');
+const epubMetadata = require('./epub_metadata');
+const pdfMetadata = require('./pdf_metadata');
+const ignoreRules = require('./ignore_rules');
 
 const readFile = util.promisify(fs.readFile);
 const writeFile = util.promisify(fs.writeFile);
@@ -21,42 +54,89 @@ const tagMappingsFilePath = args[1];
 const outputFilePath = args[2];
 
 const tagMappings = require(tagMappingsFilePath);
+const tagRules = tagMatching.getTagRules(tagMappings);
 const fileExtensions = [];
+const isIgnored = ignoreRules.loadIgnoreRules(path.join(inputDirPath, '.booksignore'));
+const allowedExtensions = getAllowedExtensions(path.join(inputDirPath, '.booksextensions'));
+const skippedPaths = [];
+const visitedDirPaths = [];
+// Symbolic links to folders, followed once every real folder has been scanned.
+const linkedDirs = [];
 
-const output = require(outputFilePath);
+const output = itemStore.loadItems(outputFilePath);
 
 const books = getBooks(inputDirPath);
 
-books.forEach(book => {
+const importedItems = books.map(book => {
+    const id = book.id;
     const title = book.title;
     const description = book.description;
     const created = book.created;
+    const lastActivity = book.lastActivity;
     const tags = book.tags;
     const type = "book";
     const location = "downloaded";
+    const status = "backlog";
     const url = "";
+    const authors = book.authors;
+    const publisher = book.publisher;
+    const published = book.published;
+    const pdfCreated = book.pdfCreated;
+    const language = book.language;
+    const subjects = book.subjects;
+    const pages = book.pages;
+    const formats = book.formats;
+    const paths = book.paths;
 
-    output.items.push({
+    return {
+        id,
         title,
         description,
         created,
+        lastActivity,
         tags,
         type,
         url,
-        location
-    });
+        location,
+        status,
+        authors,
+        publisher,
+        published,
+        pdfCreated,
+        language,
+        subjects,
+        pages,
+        formats,
+        paths
+    };
 });
 
+migrateBookIds(output, books);
+
+itemsSchema.dropInvalidItems(importedItems, 'import_books.js');
+
+const summary = itemStore.upsertItems(output, importedItems, { source: 'books' });
+
 // Log list of file extensions to console.
 console.log(`File extensions: ${fileExtensions.join(', ')}`);
 
+// Log what was left out of the import and why.
+skippedPaths.forEach(skippedPath => {
+    console.log(`Skipped /${skippedPath.path}: ${skippedPath.reason}`);
+});
+console.log(`Skipped ${skippedPaths.length} file(s) and folder(s)`);
+
+itemsSchema.assertValidItems(output, 'import_books.js');
+
 // Write output to file.
 writeFile(outputFilePath, JSON.stringify(output, null, 2))
     .then(() => {
         console.log(`Imported tech book notes to ${outputFilePath}`);
+        console.log(`Added ${summary.added}, updated ${summary.updated}, unchanged ${summary.unchanged} item(s); ${summary.stale} stale item(s)`);
     })
     .catch(err => {
         console.log(err);
+        process.exitCode = 1;
     });
 
 function getBooks(dirPath) {
@@ -65,49 +145,227 @@ function getBooks(dirPath) {
     const books = [];
     const ancestorFolderPaths = [];
     getBooksFromPath(dirPath, books, ancestorFolderPaths);
+    while (linkedDirs.length > 0) {
+        const linkedDir = linkedDirs.shift();
+        if (visitedDirPaths.includes(fs.realpathSync(linkedDir.filePath))) {
+            skippedPaths.push({ path: linkedDir.relativePath, reason: 'symbolic link to a folder that was already scanned' });
+        } else {
+            getBooksFromPath(linkedDir.filePath, books, linkedDir.ancestorFolderPaths);
+        }
+    }
     return books;
 }
 
 function getBooksFromPath(dirPath, books, ancestorFolderPaths) {
     const files = fs.readdirSync(dirPath);
+    // Book files in this directory, keyed by normalized title so that copies in different formats end up together.
+    const bookFilePaths = {};
+
+    visitedDirPaths.push(fs.realpathSync(dirPath));
 
     files.forEach(file => {
         const filePath = path.join(dirPath, file);
-        const stats = fs.statSync(filePath);
+        const relativePath = ancestorFolderPaths.concat(file).join('/');
+
+        // The importer's own configuration files aren't worth reporting.
+        if (ancestorFolderPaths.length === 0 && (file === '.booksignore' || file === '.booksextensions')) {
+            return;
+        }
+        if (file.startsWith('.')) {
+            skippedPaths.push({ path: relativePath, reason: 'hidden' });
+            return;
+        }
 
-        if (stats.isDirectory()) {
+        let stats;
+        try {
+            // statSync follows symbolic links, so a broken link throws here.
+            stats = fs.statSync(filePath);
+        } catch (err) {
+            skippedPaths.push({ path: relativePath, reason: 'broken symbolic link or unreadable' });
+            return;
+        }
+
+        const ignorePattern = isIgnored(relativePath, stats.isDirectory());
+        if (ignorePattern) {
+            skippedPaths.push({ path: relativePath, reason: `ignored by "${ignorePattern}"` });
+            return;
+        }
+
+        if (stats.isDirectory() && fs.lstatSync(filePath).isSymbolicLink()) {
+            linkedDirs.push({ filePath, relativePath, ancestorFolderPaths: ancestorFolderPaths.concat(file) });
+        } else if (stats.isDirectory()) {
+            if (visitedDirPaths.includes(fs.realpathSync(filePath))) {
+                skippedPaths.push({ path: relativePath, reason: 'symbolic link to a folder that was already scanned' });
+                return;
+            }
             ancestorFolderPaths.push(file);
             getBooksFromPath(filePath, books, ancestorFolderPaths);
             ancestorFolderPaths.pop();
-        // Make sure file extension isn't exe or ini.
-        } else if (path.extname(filePath).toLowerCase() !== '.exe' && path.extname(filePath).toLowerCase() !== '.ini') {
-            const book = getBook(filePath, ancestorFolderPaths);
-            books.push(book);
+        } else if (!allowedExtensions.includes(path.extname(filePath).toLowerCase())) {
+            skippedPaths.push({ path: relativePath, reason: `extension "${path.extname(filePath)}" not allowed` });
+        } else {
+            const normalizedTitle = normalizeTitle(path.basename(filePath, path.extname(filePath)));
+            if (!bookFilePaths[normalizedTitle]) {
+                bookFilePaths[normalizedTitle] = [];
+            }
+            bookFilePaths[normalizedTitle].push(filePath);
         }
     });
+
+    Object.keys(bookFilePaths).forEach(normalizedTitle => {
+        const book = getBook(sortByFormatPreference(bookFilePaths[normalizedTitle]), normalizedTitle, ancestorFolderPaths);
+        books.push(book);
+    });
 }
 
-function getBook(filePath, ancestorFolderPaths) {
-    // Title is the file name without the extension.
-    const title = path.basename(filePath, path.extname(filePath));
-    const description = `In tech books folder under /${ancestorFolderPaths.join('/')}/${path.basename(filePath)}`;
-    const created = getIsoDate(filePath);
-    const tags = getTags(title, ancestorFolderPaths);
+// Give book items imported when the id was a hash of the preferred copy's path the book's current id.
+function migrateBookIds(output, books) {
+    books.forEach(book => {
+        if (output.items.some(item => item.id === book.id || (item.mergedIds || []).includes(book.id))) {
+            return;
+        }
+        const oldIds = book.paths.map(relativePath => itemStore.getHashId(relativePath));
+        // A book merged into another item by dedupe_data.js stays merged.
+        const mergedIntoItem = output.items.find(item => (item.mergedIds || []).some(id => oldIds.includes(id)));
+        if (mergedIntoItem) {
+            mergedIntoItem.mergedIds.push(book.id);
+            return;
+        }
+        const oldItem = output.items.find(item => oldIds.includes(item.id));
+        if (oldItem) {
+            (oldItem.sourceIds || []).forEach((sourceId, index) => {
+                if (sourceId === `books:${oldItem.id}`) {
+                    oldItem.sourceIds[index] = `books:${book.id}`;
+                }
+            });
+            oldItem.id = book.id;
+        }
+    });
+}
 
-    // If the file extension isn't already in the list of file extensions, add it.
-    const fileExtension = path.extname(filePath).toLowerCase();
-    if (!fileExtensions.includes(fileExtension)) {
-        fileExtensions.push(fileExtension);
+function getAllowedExtensions(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return ['.pdf', '.epub', '.mobi', '.azw', '.azw3', '.djvu', '.chm', '.fb2'];
     }
+    return fs.readFileSync(filePath, 'utf8').split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line.length > 0 && !line.startsWith('#'))
+        .map(extension => extension.startsWith('.') ? extension : '.' + extension);
+}
+
+// File names without any letter or digit (e.g. "!!!.pdf") are kept as they are, so they don't all end up together.
+function normalizeTitle(title) {
+    return title.toLowerCase().replace(/[^\p{L}\p{N}#+]+/gu, ' ').trim() || title;
+}
+
+// Order the copies of a book by format preference: the first one's metadata wins.
+function sortByFormatPreference(filePaths) {
+    const formatPreference = ['.epub', '.pdf', '.mobi', '.azw3', '.azw'];
+    const getRank = filePath => {
+        const rank = formatPreference.indexOf(path.extname(filePath).toLowerCase());
+        return rank < 0 ? formatPreference.length : rank;
+    };
+    return filePaths.slice().sort((a, b) => getRank(a) - getRank(b) || a.localeCompare(b));
+}
+
+function getBook(filePaths, normalizedTitle, ancestorFolderPaths) {
+    const filePath = filePaths[0];
+    const relativePaths = filePaths.map(bookFilePath => ancestorFolderPaths.concat(path.basename(bookFilePath)).join('/'));
+    // Id is a hash of the folder relative to the books directory and the normalized title, so it doesn't depend on
+    // where that directory lives or on which formats of the book are there.
+    const id = itemStore.getHashId(ancestorFolderPaths.concat(normalizedTitle).join('/'));
+    const metadata = getBookMetadata(filePaths);
+    // Title is the title from the metadata, or else the file name without the extension.
+    const title = metadata.title || path.basename(filePath, path.extname(filePath));
+    const description = filePaths.length === 1
+        ? `In tech books folder under /${relativePaths[0]}`
+        : `In tech books folder under /${ancestorFolderPaths.join('/')}/ as ${filePaths.map(bookFilePath => path.basename(bookFilePath)).join(', ')}`;
+    const created = filePaths.map(bookFilePath => getIsoDate(bookFilePath)).sort()[0];
+    const lastActivity = filePaths.map(bookFilePath => fs.statSync(bookFilePath).mtime.toISOString()).sort().reverse()[0];
+    const tags = getTags(title, ancestorFolderPaths, metadata.subjects);
+    const formats = [];
+
+    // If the file extension isn't already in the list of file extensions, add it.
+    filePaths.forEach(bookFilePath => {
+        const fileExtension = path.extname(bookFilePath).toLowerCase();
+        if (!fileExtensions.includes(fileExtension)) {
+            fileExtensions.push(fileExtension);
+        }
+        if (fileExtension && !formats.includes(fileExtension.substring(1))) {
+            formats.push(fileExtension.substring(1));
+        }
+    });
 
     return {
+        id,
         title,
         description,
         created,
-        tags
+        lastActivity,
+        tags,
+        authors: metadata.authors,
+        publisher: metadata.publisher,
+        published: metadata.published,
+        pdfCreated: metadata.created,
+        language: metadata.language,
+        subjects: metadata.subjects,
+        pages: metadata.pages,
+        formats,
+        paths: relativePaths
     };
 }
 
+// Combine the metadata of all copies of a book, taking each field from the first copy that has it.
+function getBookMetadata(filePaths) {
+    const combinedMetadata = getMetadata(null);
+    filePaths.forEach(filePath => {
+        const metadata = getMetadata(filePath);
+        Object.keys(combinedMetadata).forEach(field => {
+            const isEmpty = Array.isArray(combinedMetadata[field])
+                ? combinedMetadata[field].length === 0
+                : !combinedMetadata[field];
+            if (isEmpty) {
+                combinedMetadata[field] = metadata[field];
+            }
+        });
+    });
+    return combinedMetadata;
+}
+
+function getMetadata(filePath) {
+    const emptyMetadata = {
+        title: '',
+        authors: [],
+        publisher: '',
+        published: '',
+        created: '',
+        language: '',
+        subjects: [],
+        pages: 0
+    };
+
+    if (!filePath) {
+        return emptyMetadata;
+    }
+
+    let metadata = null;
+    switch (path.extname(filePath).toLowerCase()) {
+        case '.epub':
+            metadata = epubMetadata.getEpubMetadata(filePath);
+            break;
+        case '.pdf':
+            metadata = pdfMetadata.getPdfMetadata(filePath);
+            break;
+        default:
+            return emptyMetadata;
+    }
+
+    if (!metadata) {
+        console.log(`Could not read metadata from ${filePath}`);
+    }
+    return Object.assign(emptyMetadata, metadata);
+}
+
 function getIsoDate(filePath) {
     const stats = fs.statSync(filePath);
     // Use the earlier of the file's created and modified dates.
@@ -115,7 +373,7 @@ function getIsoDate(filePath) {
     return created.toISOString();
 }
 
-function getTags(title, ancestorFolderPaths) {
+function getTags(title, ancestorFolderPaths, subjects) {
     const tags = [];
 
     // Add tags based on ancestor folders.
@@ -136,20 +394,18 @@ function getTags(title, ancestorFolderPaths) {
         }
     });
 
-    return tags;
-}
-
-function getTagsFromText(text) {
-    const tags = [];
-
-    Object.keys(tagMappings).forEach(word => {
-        if (text.toLowerCase().includes(word.toLowerCase())) {
-            // Add tag to list of tags for this card, but only if it's not already in the list.
-            if (!tags.includes(tagMappings[word])) {
-                tags.push(tagMappings[word]);
+    // Add tags based on subjects from the book's metadata.
+    subjects.forEach(subject => {
+        getTagsFromText(subject).forEach(tag => {
+            if (!tags.includes(tag)) {
+                tags.push(tag);
             }
-        }
+        });
     });
 
     return tags;
 }
+
+function getTagsFromText(text) {
+    return tagMatching.getTags(tagRules, [text]);
+}
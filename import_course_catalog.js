@@ -0,0 +1,213 @@
+/*
+OVERVIEW: Load saved HTML pages of a course catalog (a course bundle, or a "My Courses" page saved from the browser),
+extract the courses from the HTML using a site profile that tells where to find them, and add them as course items to
+the output JSON file (see import_trello.js for its format), so that they go through dedupe_data.js, clean_data.js and
+export_workflowy.js like every other item. Works offline: only the saved files are read.
+
+Command-line arguments:
+1. Name of the site profile: "mammoth", "udemy" or "pluralsight" (see catalog_profiles.js), or a profile from the
+   profiles file.
+2. Comma-separated paths of the saved HTML files.
+3. Path to the tag mapping file of the same format as that used in import_trello.js.
+4. Path to the output JSON file.
+5. (optional) JSON file with more site profiles, in the format described in catalog_profiles.js; defaults to
+   catalog_profiles.json in the same directory as the first HTML file. A profile with the name of a built-in profile
+   overrides the fields it gives.
+
+HOW TO FIND COURSES IN THE HTML:
+Each course is in an element matching the profile's "item" selector. Inside it, the profile's "title", "url", "author"
+and "date" fields give where to find the course's details. Relative URLs are resolved against the profile's "urlBase".
+Courses without a title or a valid http(s) URL are skipped (and reported), as are courses with the same URL as an
+earlier one.
+
+Sample profiles file:
+{
+    "mammoth": { "author": "" },
+    "mysite": {
+        "provider": "Example Courses",
+        "urlBase": "https://courses.example.com/",
+        "item": "li.course",
+        "title": "h3",
+        "url": "a@href",
+        "author": ".teacher",
+        "date": ".enrolled@data-date"
+    }
+}
+
+FORMAT OF IMPORTED ITEMS:
+Each course becomes an item of type "course" with:
+- id: a hash of the course URL, so importing the same course again (from any page) updates it
+- title, url and authors: from the page
+- tags: from matching the title against the tag mappings
+- location: "online", and provider: the profile's "provider"
+- created: the date the course was acquired: the course's date on the page if the profile has one, or else the date
+  the HTML file was saved
+- status: "backlog"
+Courses imported with the same profile before that are on none of the pages are marked stale (see item_store.js), so
+all the saved pages of a site should be imported together.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const jsdom = require("jsdom");
+const { JSDOM } = jsdom;
+const tagMatching = require('./tag_matching');
+const itemStore = require('./item_store');
+const itemsSchema = require('./items_schema');
+const builtInProfiles = require('./catalog_profiles');
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+
+const profileFields = ['provider', 'urlBase', 'item', 'title', 'url', 'author', 'date'];
+
+const args = process.argv.slice(2);
+const profileName = args[0];
+const inputFilePaths = (args[1] || '').split(',').map(filePath => filePath.trim()).filter(filePath => filePath.length > 0);
+const tagMappingsFilePath = args[2];
+const outputFilePath = args[3];
+if (!profileName || inputFilePaths.length === 0 || !tagMappingsFilePath || !outputFilePath) {
+    console.error('Usage: node import_course_catalog.js <profile> <html file,...> <tag mappings file> <output json file> [profiles file]');
+    process.exit(1);
+}
+const profilesFilePath = args[4] ? args[4] : path.join(path.dirname(inputFilePaths[0]), 'catalog_profiles.json');
+
+const profile = getProfile(profileName, profilesFilePath);
+const tagMappings = require(path.resolve(tagMappingsFilePath));
+const tagRules = tagMatching.getTagRules(tagMappings);
+
+const output = itemStore.loadItems(outputFilePath);
+
+const courses = [];
+inputFilePaths.forEach(inputFilePath => {
+    const html = fs.readFileSync(path.resolve(inputFilePath), 'utf8');
+    const savedDate = fs.statSync(path.resolve(inputFilePath)).mtime.toISOString();
+    const dom = new JSDOM(html);
+    const document = dom.window.document;
+
+    // Log to console some info to verify that HTML doc is correctly loaded and contains elements.
+    const titleElement = document.querySelector('title');
+    console.log(`Title: ${titleElement ? titleElement.textContent.trim() : '(none)'}`);
+
+    const courseListings = document.querySelectorAll(profile.item);
+    console.log(`Found ${courseListings.length} courses in ${inputFilePath}.`);
+    courseListings.forEach(courseListing => {
+        const course = getCourse(courseListing, savedDate);
+        if (course.href && !course.url) {
+            console.log(`Skipping course with an invalid URL "${course.href}": ${course.title || '(no title)'}`);
+            return;
+        }
+        if (!course.title || !course.url) {
+            console.log(`Skipping course without ${course.title ? 'URL' : 'title'}: ${course.title || course.url || '(empty)'}`);
+            return;
+        }
+        if (courses.some(otherCourse => otherCourse.url === course.url)) {
+            return;
+        }
+        courses.push(course);
+    });
+});
+
+const importedItems = courses.map(course => {
+    const item = {
+        id: itemStore.getHashId(course.url),
+        title: course.title,
+        description: '',
+        created: course.date,
+        tags: tagMatching.getTags(tagRules, [course.title]),
+        type: 'course',
+        url: course.url,
+        location: 'online',
+        status: 'backlog'
+    };
+    if (course.authors.length > 0) {
+        item.authors = course.authors;
+    }
+    if (profile.provider) {
+        item.provider = profile.provider;
+    }
+    return item;
+});
+
+itemsSchema.dropInvalidItems(importedItems, 'import_course_catalog.js');
+
+const summary = itemStore.upsertItems(output, importedItems, { source: `catalog:${profileName}` });
+
+itemsSchema.assertValidItems(output, 'import_course_catalog.js');
+
+// Write output to file.
+writeFile(outputFilePath, JSON.stringify(output, null, 2))
+    .then(() => {
+        console.log(`Imported ${courses.length} ${profileName} course(s) to ${outputFilePath}`);
+        console.log(`Added ${summary.added}, updated ${summary.updated}, unchanged ${summary.unchanged} item(s); ${summary.stale} stale item(s)`);
+    })
+    .catch(err => {
+        console.log(err);
+        process.exitCode = 1;
+    });
+
+function getProfile(name, filePath) {
+    const fileProfiles = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+    if (!builtInProfiles[name] && !fileProfiles[name]) {
+        const names = Object.keys(Object.assign({}, builtInProfiles, fileProfiles));
+        console.error(`Unknown site profile "${name}"; expected one of ${names.join(', ')}.`);
+        process.exit(1);
+    }
+
+    const profile = Object.assign({}, builtInProfiles[name], fileProfiles[name]);
+    profileFields.forEach(field => {
+        profile[field] = profile[field] || '';
+    });
+    if (!profile.item || !profile.title || !profile.url) {
+        console.error(`Site profile "${name}" must give the "item", "title" and "url" selectors.`);
+        process.exit(1);
+    }
+    return profile;
+}
+
+// Read the course's details; its date falls back to the date the HTML file was saved, and its url is "" if the link
+// (href) isn't a valid http(s) URL.
+function getCourse(courseListing, savedDate) {
+    const href = (getValues(courseListing, profile.url)[0] || '').trim();
+    const date = new Date(getValues(courseListing, profile.date)[0] || '');
+
+    return {
+        title: (getValues(courseListing, profile.title)[0] || '').replace(/\s+/g, ' ').trim(),
+        href,
+        url: href ? getAbsoluteUrl(href) : '',
+        // Some sites list all authors in one element, separated by commas.
+        authors: [].concat(...getValues(courseListing, profile.author).map(authors => authors.split(',')))
+            .map(author => author.replace(/\s+/g, ' ').trim())
+            .filter(author => author.length > 0),
+        date: isNaN(date) ? savedDate : date.toISOString()
+    };
+}
+
+// Resolve the link against the profile's urlBase; a relative link without a urlBase or a malformed link gives "".
+function getAbsoluteUrl(href) {
+    try {
+        const url = new URL(href, profile.urlBase || undefined);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : '';
+    } catch (err) {
+        return '';
+    }
+}
+
+// Read a profile field ("{selector}[@{attribute}]") from the course element: the text or attribute of every element
+// matching the selector, or the attribute of the course element itself if there is no selector.
+function getValues(courseListing, field) {
+    if (!field) {
+        return [];
+    }
+
+    const match = /^([\s\S]*?)(?:@([\w:.-]+))?$/.exec(field.trim());
+    const selector = match[1].trim();
+    const attribute = match[2] || '';
+
+    const elements = selector ? Array.from(courseListing.querySelectorAll(selector)) : [courseListing];
+    return elements
+        .map(element => attribute ? element.getAttribute(attribute) : element.textContent)
+        .filter(value => value !== null && value.trim().length > 0)
+        .map(value => value.trim());
+}
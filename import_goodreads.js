@@ -0,0 +1,208 @@
+/*
+This script imports the books of a Goodreads library export (My Books > "Import and export" > "Export Library", a CSV
+file) into the output JSON file (see import_trello.js for its format). Each book enriches the book item with the same
+title, e.g. a Trello book card, or else becomes a new book item (see book_library.js). New book items whose book is no
+longer in the export are marked stale (see item_store.js).
+
+Command-line arguments:
+1. Path to the Goodreads library export CSV file.
+2. Path to the tag mapping file of the same format as that used in import_trello.js.
+3. Path to the output JSON file.
+
+Fields read from each book (by CSV column):
+- isbn: "ISBN13", or else "ISBN" (Goodreads writes them as ="..." so spreadsheets keep them as text)
+- authors: "Author" and "Additional Authors"
+- shelf: "Exclusive Shelf" (e.g. "to-read", "currently-reading" or "read")
+- rating: "My Rating", 1 to 5 (0, for books without a rating, is left out)
+- location: "kindle" for a "Kindle Edition" binding; for books with "Owned Copies", "print" for paperbacks and
+  hardcovers and "other" for other bindings; none for books that aren't owned
+
+New book items also get:
+- id: a hash of the Goodreads "Book Id"
+- created: "Date Added"; status: "done" for the "read" shelf, "in-progress" for "currently-reading", or "backlog"
+- tags: from matching the title and the "Bookshelves" against the tag mappings
+- publisher: "Publisher"; published: "Original Publication Year", or else "Year Published"; pages: "Number of Pages"
+*/
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const tagMatching = require('./tag_matching');
+const itemStore = require('./item_store');
+const itemsSchema = require('./items_schema');
+const bookLibrary = require('./book_library');
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+
+const args = process.argv.slice(2);
+const inputFilePath = args[0];
+const tagMappingsFilePath = args[1];
+const outputFilePath = args[2];
+
+const tagMappings = require(path.resolve(tagMappingsFilePath));
+const tagRules = tagMatching.getTagRules(tagMappings);
+
+const output = itemStore.loadItems(outputFilePath);
+
+const rows = parseCsv(fs.readFileSync(inputFilePath, 'utf8').replace(/^\uFEFF/, ''));
+const header = rows.shift() || [];
+if (!header.includes('Book Id') || !header.includes('Title')) {
+    console.error(`${inputFilePath} is not a Goodreads library export (no "Book Id" and "Title" columns).`);
+    process.exit(1);
+}
+
+let enrichedCount = 0;
+const importedItems = [];
+const enrichments = [];
+rows.filter(row => row.length > 1).forEach(row => {
+    const book = getBook(header, row);
+
+    // Also look among the items added for earlier books, so that a book listed twice becomes a single item.
+    const matchingItem = bookLibrary.findBookItem(output.items.concat(importedItems), book.title);
+    if (matchingItem) {
+        enrichedCount += output.items.includes(matchingItem) ? 1 : 0;
+        enrichments.push(bookLibrary.getEnrichedItem(matchingItem, book));
+        return;
+    }
+
+    const item = {
+        id: itemStore.getHashId(`goodreads\n${book.bookId}`),
+        title: book.title,
+        description: '',
+        created: book.created,
+        tags: tagMatching.getTags(tagRules, [book.title].concat(book.bookshelves)),
+        type: 'book',
+        url: '',
+        location: book.location,
+        status: getStatus(book.shelf),
+        authors: book.authors,
+        publisher: book.publisher,
+        published: book.published
+    };
+    ['isbn', 'shelf', 'rating', 'pages'].forEach(field => {
+        if (book[field]) {
+            item[field] = book[field];
+        }
+    });
+    importedItems.push(item);
+});
+
+itemsSchema.dropInvalidItems(importedItems, 'import_goodreads.js');
+itemsSchema.dropInvalidItems(enrichments, 'import_goodreads.js');
+
+const summary = itemStore.upsertItems(output, importedItems, { source: 'goodreads', enrichments });
+
+itemsSchema.assertValidItems(output, 'import_goodreads.js');
+
+// Write output to file.
+writeFile(outputFilePath, JSON.stringify(output, null, 2))
+    .then(() => {
+        console.log(`Imported ${importedItems.length + enrichments.length} Goodreads book(s) to ${outputFilePath}; ${enrichedCount} matched existing book items`);
+        console.log(`Added ${summary.added}, updated ${summary.updated}, unchanged ${summary.unchanged} item(s); ${summary.stale} stale item(s)`);
+    })
+    .catch(err => {
+        console.log(err);
+        process.exitCode = 1;
+    });
+
+function getBook(header, row) {
+    const get = column => {
+        const index = header.indexOf(column);
+        return index >= 0 && row[index] !== undefined ? row[index].trim() : '';
+    };
+    // Goodreads writes ISBNs as ="0596517742" so that spreadsheets don't turn them into numbers.
+    const getIsbn = column => get(column).replace(/^="?|"$/g, '');
+
+    const owned = parseInt(get('Owned Copies'), 10) > 0;
+    const dateAdded = /^(\d{4})\/(\d{1,2})\/(\d{1,2})$/.exec(get('Date Added'));
+    const rating = parseInt(get('My Rating'), 10);
+    const pages = parseInt(get('Number of Pages'), 10);
+
+    return {
+        bookId: get('Book Id'),
+        title: get('Title'),
+        authors: [get('Author')].concat(get('Additional Authors').split(','))
+            .map(author => author.replace(/\s+/g, ' ').trim())
+            .filter(author => author.length > 0),
+        isbn: getIsbn('ISBN13') || getIsbn('ISBN'),
+        shelf: get('Exclusive Shelf'),
+        bookshelves: get('Bookshelves').split(',').map(shelf => shelf.trim()).filter(shelf => shelf.length > 0),
+        rating: rating > 0 ? rating : undefined,
+        location: getLocation(get('Binding'), owned),
+        publisher: get('Publisher'),
+        published: get('Original Publication Year') || get('Year Published'),
+        pages: pages > 0 ? pages : undefined,
+        created: dateAdded
+            ? new Date(Date.UTC(parseInt(dateAdded[1], 10), parseInt(dateAdded[2], 10) - 1, parseInt(dateAdded[3], 10))).toISOString()
+            : new Date().toISOString()
+    };
+}
+
+function getLocation(binding, owned) {
+    if (binding.toLowerCase() === 'kindle edition') {
+        return 'kindle';
+    }
+    if (!owned) {
+        return '';
+    }
+    if (/paperback|hardcover/i.test(binding)) {
+        return 'print';
+    }
+    return 'other';
+}
+
+function getStatus(shelf) {
+    switch (shelf) {
+        case 'read':
+            return 'done';
+        case 'currently-reading':
+            return 'in-progress';
+        default:
+            return 'backlog';
+    }
+}
+
+// Parse CSV text (RFC 4180: fields separated by commas, optionally in double quotes, with "" for a quote inside a
+// quoted field, which may also contain commas and line breaks) into an array of rows, each an array of fields.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const character = text[i];
+        if (inQuotes) {
+            if (character === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (character === '"') {
+                inQuotes = false;
+            } else {
+                field += character;
+            }
+        } else if (character === '"') {
+            inQuotes = true;
+        } else if (character === ',') {
+            row.push(field);
+            field = '';
+        } else if (character === '\n' || character === '\r') {
+            if (character === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += character;
+        }
+    }
+    if (field.length > 0 || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
@@ -0,0 +1,133 @@
+/*
+This script imports the books of a Kindle library into the output JSON file (see import_trello.js for its format).
+Each book enriches the book item with the same title, e.g. a Trello book card, or else becomes a new book item (see
+book_library.js); either way, its location is "kindle". New book items whose book is no longer in the library are
+marked stale (see item_store.js).
+
+The Kindle library is read from the library cache of the Kindle app for PC or Mac, which lists every book bought for
+the Kindle account once the app has synced:
+- Windows: %LOCALAPPDATA%\Amazon\Kindle\Cache\KindleSyncMetadataCache.xml
+- macOS: ~/Library/Application Support/Kindle/Cache/KindleSyncMetadataCache.xml (or under
+  ~/Library/Containers/com.amazon.Kindle/Data/ for newer versions of the app)
+Only Kindle books (content type "EBOK") are imported; personal documents sent to the Kindle are left out.
+
+Command-line arguments:
+1. Path to the KindleSyncMetadataCache.xml file.
+2. Path to the tag mapping file of the same format as that used in import_trello.js.
+3. Path to the output JSON file.
+
+Fields read from each book:
+- asin: the book's Amazon id
+- authors: the book's authors, turned from "Last, First" into "First Last"
+
+New book items also get:
+- id: a hash of the ASIN
+- created: the purchase date; status: "backlog"
+- tags: from matching the title against the tag mappings
+- publisher and published (publication date)
+*/
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const htmlparser2 = require('htmlparser2');
+const tagMatching = require('./tag_matching');
+const itemStore = require('./item_store');
+const itemsSchema = require('./items_schema');
+const bookLibrary = require('./book_library');
+
+const DomUtils = htmlparser2.DomUtils;
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+
+const args = process.argv.slice(2);
+const inputFilePath = args[0];
+const tagMappingsFilePath = args[1];
+const outputFilePath = args[2];
+
+const tagMappings = require(path.resolve(tagMappingsFilePath));
+const tagRules = tagMatching.getTagRules(tagMappings);
+
+const output = itemStore.loadItems(outputFilePath);
+
+const document = htmlparser2.parseDocument(fs.readFileSync(inputFilePath, 'utf8'), { xmlMode: true });
+const books = DomUtils.findAll(element => element.name === 'meta_data', DomUtils.getChildren(document))
+    .map(getBook)
+    .filter(book => book.asin && book.title && (!book.contentType || book.contentType === 'EBOK'));
+console.log(`Found ${books.length} Kindle book(s) in ${inputFilePath}`);
+
+let enrichedCount = 0;
+const importedItems = [];
+const enrichments = [];
+books.forEach(book => {
+    // Also look among the items added for earlier books, so that a book listed twice becomes a single item.
+    const matchingItem = bookLibrary.findBookItem(output.items.concat(importedItems), book.title);
+    if (matchingItem) {
+        enrichedCount += output.items.includes(matchingItem) ? 1 : 0;
+        enrichments.push(bookLibrary.getEnrichedItem(matchingItem, book));
+        return;
+    }
+
+    const item = {
+        id: itemStore.getHashId(`kindle\n${book.asin}`),
+        title: book.title,
+        description: '',
+        created: book.created,
+        tags: tagMatching.getTags(tagRules, [book.title]),
+        type: 'book',
+        url: '',
+        location: book.location,
+        status: 'backlog',
+        authors: book.authors,
+        publisher: book.publisher,
+        published: book.published,
+        asin: book.asin
+    };
+    importedItems.push(item);
+});
+
+itemsSchema.dropInvalidItems(importedItems, 'import_kindle.js');
+itemsSchema.dropInvalidItems(enrichments, 'import_kindle.js');
+
+const summary = itemStore.upsertItems(output, importedItems, { source: 'kindle', enrichments });
+
+itemsSchema.assertValidItems(output, 'import_kindle.js');
+
+// Write output to file.
+writeFile(outputFilePath, JSON.stringify(output, null, 2))
+    .then(() => {
+        console.log(`Imported ${importedItems.length + enrichments.length} Kindle book(s) to ${outputFilePath}; ${enrichedCount} matched existing book items`);
+        console.log(`Added ${summary.added}, updated ${summary.updated}, unchanged ${summary.unchanged} item(s); ${summary.stale} stale item(s)`);
+    })
+    .catch(err => {
+        console.log(err);
+        process.exitCode = 1;
+    });
+
+function getBook(metadata) {
+    const getTexts = name => DomUtils.findAll(element => element.name === name, DomUtils.getChildren(metadata))
+        .map(element => DomUtils.textContent(element).replace(/\s+/g, ' ').trim())
+        .filter(text => text.length > 0);
+    const getText = name => getTexts(name)[0] || '';
+
+    const purchaseDate = new Date(getText('purchase_date'));
+    const publicationDate = new Date(getText('publication_date'));
+
+    return {
+        asin: getText('ASIN'),
+        title: getText('title'),
+        authors: getTexts('author').map(getDisplayName),
+        contentType: getText('cde_contenttype'),
+        location: 'kindle',
+        publisher: getText('publisher'),
+        published: isNaN(publicationDate) ? '' : publicationDate.toISOString().substring(0, 10),
+        created: isNaN(purchaseDate) ? new Date().toISOString() : purchaseDate.toISOString()
+    };
+}
+
+// "Martin, Robert C." => "Robert C. Martin"
+function getDisplayName(author) {
+    const parts = author.split(',').map(part => part.trim());
+    return parts.length === 2 && parts[0] && parts[1] ? `${parts[1]} ${parts[0]}` : author;
+}
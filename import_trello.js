@@ -1,25 +1,44 @@
 /*
-The purpose of this script is to pull data from a specific Trello board containing my technology learning resources.
+The purpose of this script is to pull data from one or more Trello boards containing my technology learning resources.
 Each card might be a technology book, a video course, a blog post, etc.  Lists in the board correspond mostly to 
 broad tech categories such as "CSS" or ".NET", although some have a special purpose and will need to be processed 
 with specific logic.
 
 Command-line arguments:
-1. Trello export JSON file path
-2. JSON file containing mapping of words to tags (see note "On tags" below)
+1. Trello export JSON file path; to merge several boards in one run, separate their export file paths with commas
+2. JSON file containing mapping of words to tags (see tag_matching.js for the format)
 3. (optional) Output JSON file path (if it's just a file name, assume same directory path as input file, file name "output.json")
+4. (optional) JSON file containing per-list rules (see note "On list rules" below); defaults to list_rules.json in the
+   same directory as the input file
+When several export files are given, the defaults for the other paths are relative to the first one.
 
-Accepts a Trello export JSON file as the first command line argument and outputs the following JSON file format:
+Accepts Trello export JSON files as the first command line argument and outputs the following JSON file format:
 {
     "items": [
         {  // one per card
+            "id": "5b1c2d3e4f5a6b7c8d9e0f11", // the Trello card id
             "title": "Card title",
             "description": "Card description",
-            "created": "2019-01-01T00:00:00.000Z", // ISO 8601 format
-            "tags": ["tag1", "tag2"], // these do not correspond to Trello labels; see note "On tags" below
+            "created": "2019-01-01T00:00:00.000Z", // ISO 8601 format; when the card was created
+            "lastActivity": "2019-01-01T00:00:00.000Z", // ISO 8601 format; Trello's dateLastActivity for the card
+            "tags": ["tag1", "tag2"], // Trello labels only contribute through label mappings; see note "On label mappings" below
             "type": "book", // one of "book", "video", "article", "course", "documentation", "other"
             "url": "https://www.example.com/", // only applies to article, video, and course types
-            "location": "downloaded", // one of "downloaded", "kindle", "print", "google play", "other"
+            "location": "downloaded", // one of "downloaded", "kindle", "print", "google play", "online", "other"
+            "board": "Tech Learning", // name of the Trello board the card came from
+            "status": "backlog", // one of "backlog", "on-deck", "in-progress", "done", "archived"; see note "On status" below
+            "checklists": [ // one per Trello checklist on the card, in board order
+                {
+                    "name": "Chapters",
+                    "items": [
+                        { "name": "Chapter 1", "complete": true },
+                        { "name": "Chapter 2", "complete": false }
+                    ]
+                }
+            ],
+            "comments": [ // Trello card comments, oldest first
+                { "author": "Jane Doe", "date": "2019-01-02T00:00:00.000Z", "text": "Key takeaway: ..." }
+            ]
         }
     ]
 }
@@ -30,119 +49,352 @@ Sample JSON file containing tag mappings:
     "C#": "csharp",
     "ASP.NET": "aspnet",
     "Artificial Intelligence": "ai",
+    "labels": [
+        { "name": "python", "tags": ["python"] },
+        { "name": "kindle", "type": "book", "location": "kindle" },
+        { "color": "purple", "type": "course" }
+    ]
 }
 
+On label mappings:
+The optional "labels" section of the tag mappings file maps Trello labels to item fields. Each entry matches a label
+either by "name" (case-insensitive) or by "color", and may set any of:
+- "tags": array of tags added to the card
+- "type": item type, overriding the built-in label/URL based detection
+- "location": item location, overriding the description based detection
+When several matching entries set the same "type" or "location", the first one in the file wins. A list rule's
+"type" or "location" (see note "On list rules" below) still takes precedence over a label mapping.
+
+On board tags:
+The optional "boards" section of the tag mappings file maps a Trello board name to a tag added to every card from that
+board, e.g. "boards": { "Frontend Learning": "frontend" }. Boards without an entry get no board tag.
+
+On merging boards:
+The output is the same regardless of the order the export files are given in: boards are processed ordered by name
+(then id), cards within a board ordered by card id, and a board or card that appears more than once is only
+imported once.
+
+On list rules:
+The list rules file maps Trello list names (case-insensitive) to what should happen to the cards in that list.
+Each rule may use any combination of the following:
+- "skip": true to leave the list's cards out of the output entirely
+- "type": force the item type, overriding the label/URL based detection
+- "tags": array of tags added to every card in the list, on top of the tags from the tag mappings
+- "status": status to record on every card in the list (see note "On status" below)
+- "location": force the item location, overriding the description based detection
+Rules at the top level of the file apply to the lists of that name on every board. When boards have lists of the same
+name that need different rules, the optional "boards" section maps a Trello board name to rules for that board's lists
+only; a board's rule for a list replaces the top-level rule for it (an empty rule {} imports the list as usual).
+Lists without a rule are imported as usual. If no list rules file exists, only the list "Meta - What to Learn" is
+skipped.
+
+Sample JSON file containing list rules:
+{
+    "Meta - What to Learn": { "skip": true },
+    "In Progress": { "status": "in-progress" },
+    "Kindle Unlimited": { "type": "book", "location": "kindle", "tags": ["ku"] },
+    "boards": {
+        "Frontend Learning": {
+            "In Progress": { "status": "in-progress", "tags": ["frontend"] },
+            "Meta - What to Learn": {}
+        }
+    }
+}
+
+On status:
+Each item's status is derived as follows (first that applies):
+- "archived" if the card or its list is closed (archived) in Trello
+- the list rule's "status", if any
+- "in-progress" for the list "In Progress", "on-deck" for the list "On Deck", "done" for the lists "Done",
+  "Finished" or "Completed"
+- "backlog" otherwise
+
 Desired output:
 1. Script writes output JSON to file (not stdout) (see cmdline args)
+2. If the output JSON file already exists, cards are added or updated in it by id (see item_store.js), so the script
+   can safely be re-run; it reports how many items were added, updated and unchanged, and how many items are stale
+   because their card is no longer in any of the exports (so all boards should be imported together).
 */
 
 const fs = require('fs');
 const path = require('path');
 const util = require('util');
+const tagMatching = require('./tag_matching');
+const itemStore = require('./item_store');
+const itemsSchema = require('./items_schema');
+const itemTypes = require('./item_types');
 
 const readFile = util.promisify(fs.readFile);
 const writeFile = util.promisify(fs.writeFile);
 
 const args = process.argv.slice(2);
-const inputFilePath = args[0];
-const tagMappingsFilePath = args[1] ? args[1] : path.join(path.dirname(inputFilePath), 'tag_mappings.json');
-const outputFilePath = args[2] ? args[2] : path.join(path.dirname(inputFilePath), 'tech_learning_materials.json');
+const inputFilePaths = args[0].split(',').map(filePath => filePath.trim()).filter(filePath => filePath.length > 0);
+const tagMappingsFilePath = args[1] ? args[1] : path.join(path.dirname(inputFilePaths[0]), 'tag_mappings.json');
+const outputFilePath = args[2] ? args[2] : path.join(path.dirname(inputFilePaths[0]), 'tech_learning_materials.json');
+const listRulesFilePath = args[3] ? args[3] : path.join(path.dirname(inputFilePaths[0]), 'list_rules.json');
 
 const tagMappings = require(tagMappingsFilePath);
+const tagRules = tagMatching.getTagRules(tagMappings);
+const listRules = getListRules(listRulesFilePath);
+const labelMappings = tagMappings.labels || [];
+const boardTags = tagMappings.boards || {};
+
+const trelloExports = getTrelloExports(inputFilePaths);
 
-const trelloExport = require(inputFilePath);
+const output = itemStore.loadItems(outputFilePath);
+const importedItems = [];
 
-const output = {
-    items: []
-};
+// Trello ids are globally unique, so the lookups below can be shared by all boards.
 
 // Build mapping of list id to list name.
 const listIdToName = {};
-trelloExport.lists.forEach(list => {
-    listIdToName[list.id] = list.name;
+const closedListIds = [];
+trelloExports.forEach(trelloExport => {
+    trelloExport.lists.forEach(list => {
+        listIdToName[list.id] = list.name;
+        if (list.closed) {
+            closedListIds.push(list.id);
+        }
+    });
+});
+
+// Build mapping of card id to that card's checklists.
+const cardIdToChecklists = {};
+trelloExports.forEach(trelloExport => {
+    (trelloExport.checklists || []).forEach(checklist => {
+        if (!cardIdToChecklists[checklist.idCard]) {
+            cardIdToChecklists[checklist.idCard] = [];
+        }
+        cardIdToChecklists[checklist.idCard].push(checklist);
+    });
+});
+
+// Build mapping of card id to the date of its createCard action.
+const cardIdToCreatedDate = {};
+trelloExports.forEach(trelloExport => {
+    (trelloExport.actions || []).forEach(action => {
+        if (action.type === 'createCard') {
+            cardIdToCreatedDate[action.data.card.id] = action.date;
+        }
+    });
+});
+
+// Build mapping of card id to that card's comments.
+const cardIdToComments = {};
+trelloExports.forEach(trelloExport => {
+    (trelloExport.actions || []).forEach(action => {
+        if (action.type !== 'commentCard') {
+            return;
+        }
+        const cardId = action.data.card.id;
+        if (!cardIdToComments[cardId]) {
+            cardIdToComments[cardId] = [];
+        }
+        cardIdToComments[cardId].push(action);
+    });
 });
 
-var listsToSkip = ['in progress', 'on deck', 'meta - what to learn'];
+const importedCardIds = [];
+trelloExports.forEach(trelloExport => {
+    const board = trelloExport.name;
+    const cards = trelloExport.cards.slice().sort((a, b) => a.id.localeCompare(b.id));
+
+    cards.forEach(card => {
+        if (importedCardIds.includes(card.id)) {
+            return;
+        }
+        importedCardIds.push(card.id);
+        importCard(card, board);
+    });
+});
+
+itemsSchema.dropInvalidItems(importedItems, 'import_trello.js');
+
+const summary = itemStore.upsertItems(output, importedItems, { source: 'trello' });
+
+itemsSchema.assertValidItems(output, 'import_trello.js');
+
+// Write output to file.
+writeFile(outputFilePath, JSON.stringify(output, null, 4))
+    .then(() => {
+        console.log(`Imported Trello data from ${trelloExports.length} board(s) to ${outputFilePath}`);
+        console.log(`Added ${summary.added}, updated ${summary.updated}, unchanged ${summary.unchanged} item(s); ${summary.stale} stale item(s)`);
+    })
+    .catch(err => {
+        console.error(err);
+        process.exitCode = 1;
+    });
+
+function getTrelloExports(filePaths) {
+    const trelloExports = [];
 
-trelloExport.cards.forEach(card => {
-    const listName = listIdToName[card.idList];
+    filePaths.forEach(filePath => {
+        const trelloExport = require(path.resolve(filePath));
+        // Skip a board whose export was given more than once.
+        if (trelloExports.some(existing => existing.id === trelloExport.id)) {
+            return;
+        }
+        trelloExports.push(trelloExport);
+    });
 
-    if (listsToSkip.includes(listName.toLowerCase())) {
+    return trelloExports.sort((a, b) => a.name.localeCompare(b.name) || a.id.localeCompare(b.id));
+}
+
+function importCard(trelloCard, board) {
+    const card = normalizeCard(trelloCard);
+    const listName = listIdToName[card.idList] || '';
+    const listRule = getListRule(board, listName);
+
+    if (listRule.skip) {
         return;
     }
 
     const title = card.name;
     const description = getDesc(card);
     const created = getCreatedIsoDate(card);
-    const tags = getTags(title, listName);
-    const type = getType(card);
-    const location = getLocation(description, type);
+    const lastActivity = getLastActivityIsoDate(card);
+    const labelRules = getLabelRules(card);
+    const tags = getTags(title, listName, listRule, labelRules);
+    if (boardTags[board] && !tags.includes(boardTags[board])) {
+        tags.push(boardTags[board]);
+    }
+    const type = listRule.type || getLabelRuleValue(labelRules, 'type') || getType(card);
+    const location = listRule.location || getLabelRuleValue(labelRules, 'location') || getLocation(description, type);
+    const status = getStatus(card, listName, listRule);
     const url = getUrl(card);
+    const checklists = getChecklists(card);
+    const comments = getComments(card);
 
     // Skip downloaded books as these will be imported in another script.
     if (type === 'book' && location === 'downloaded') {
         return;
     }
 
-    output.items.push({
+    importedItems.push({
+        id: card.id,
         title,
         description,
         created,
+        lastActivity,
         tags,
         type,
         url,
-        location
+        location,
+        board,
+        status,
+        checklists,
+        comments
     });
-});
+}
 
-// Write output to file.
-writeFile(outputFilePath, JSON.stringify(output, null, 4))
-    .then(() => {
-        console.log(`Imported Trello data to ${outputFilePath}`);
-    })
-    .catch(err => {
-        console.error(err);
+// Fill in the card fields that some Trello exports leave out, so that the rest of the script can rely on them.
+function normalizeCard(card) {
+    return Object.assign({}, card, {
+        name: card.name || '',
+        desc: card.desc || '',
+        labels: card.labels || [],
+        attachments: card.attachments || []
     });
+}
 
-function getTags(title, listName) {
-    const tags = [];
+function getListRules(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return {
+            lists: { 'meta - what to learn': { skip: true } },
+            boards: {}
+        };
+    }
 
-    Object.keys(tagMappings).forEach(word => {
-        if (title.toLowerCase().includes(word.toLowerCase()) || listName.toLowerCase().includes(word.toLowerCase())) {
-            // Add tag to list of tags for this card, but only if it's not already in the list.
-            if (!tags.includes(tagMappings[word])) {
-                tags.push(tagMappings[word]);
-            }
-        }
-    });
+    const rulesFromFile = Object.assign({}, require(path.resolve(filePath)));
+    const boardRulesFromFile = rulesFromFile.boards || {};
+    delete rulesFromFile.boards;
 
-    return tags;
+    const boards = {};
+    Object.keys(boardRulesFromFile).forEach(board => {
+        boards[board] = getRulesByListName(boardRulesFromFile[board]);
+    });
+    return {
+        lists: getRulesByListName(rulesFromFile),
+        boards
+    };
 }
 
-function getType(card) {
-    var url = getUrl(card);
+// Key the rules by lower-cased list name so that lookups are case-insensitive.
+function getRulesByListName(rulesFromFile) {
+    const rules = {};
+    Object.keys(rulesFromFile).forEach(listName => {
+        rules[listName.toLowerCase()] = rulesFromFile[listName];
+    });
+    return rules;
+}
 
-    if (card.labels.some(label => label.name.toLowerCase() === 'book')) {
-        return 'book';
-    }
-    
-    // if url includes "youtube.com" use "video" type.
-    if (url.includes('youtube.com')) {
-        return 'video';
-    }
+// The board's own rule for the list if it has one, or else the rule for lists of that name on every board.
+function getListRule(board, listName) {
+    const boardRules = listRules.boards[board] || {};
+    return boardRules[listName.toLowerCase()] || listRules.lists[listName.toLowerCase()] || {};
+}
 
-    if (card.labels.some(label => label.name.toLowerCase() === 'course')
-        || url.includes('pluralsight.com')
-        || url.includes('udemy.com')) {
-        return 'course';
+function getStatus(card, listName, listRule) {
+    if (card.closed || closedListIds.includes(card.idList)) {
+        return 'archived';
     }
-    if (card.name.toLowerCase().includes('docs') || card.name.toLowerCase().includes('documentation')) {
-        return 'documentation';
+    if (listRule.status) {
+        return listRule.status;
     }
-    if (url.length > 0) {
-        return 'article';
+    switch (listName.toLowerCase()) {
+        case 'in progress':
+            return 'in-progress';
+        case 'on deck':
+            return 'on-deck';
+        case 'done':
+        case 'finished':
+        case 'completed':
+            return 'done';
+        default:
+            return 'backlog';
     }
-    return 'other';
+}
+
+function getLabelRules(card) {
+    // Return the label mappings matching any of the card's labels, in the order they appear in the mappings file.
+    return labelMappings.filter(labelMapping => {
+        return card.labels.some(label => {
+            if (labelMapping.name && label.name.toLowerCase() === labelMapping.name.toLowerCase()) {
+                return true;
+            }
+            return !!labelMapping.color && label.color === labelMapping.color;
+        });
+    });
+}
+
+function getLabelRuleValue(labelRules, field) {
+    const labelRule = labelRules.find(rule => rule[field]);
+    return labelRule ? labelRule[field] : '';
+}
+
+function getTags(title, listName, listRule, labelRules) {
+    const tags = [];
+
+    // Tags forced by the list rule and the card's labels come first.
+    const forcedTags = (listRule.tags || []).concat(...labelRules.map(rule => rule.tags || []));
+    forcedTags.forEach(tag => {
+        if (!tags.includes(tag)) {
+            tags.push(tag);
+        }
+    });
+
+    tagMatching.getTags(tagRules, [title, listName]).forEach(tag => {
+        if (!tags.includes(tag)) {
+            tags.push(tag);
+        }
+    });
+
+    return tags;
+}
+
+function getType(card) {
+    const labelNames = card.labels.map(label => label.name.toLowerCase());
+    return itemTypes.getType(getUrl(card), card.name, labelNames);
 }
 
 function getLocation(description, type) {
@@ -179,6 +431,37 @@ function getUrl(card) {
     return ""
 }
 
+function getChecklists(card) {
+    const checklists = cardIdToChecklists[card.id] || [];
+
+    // Trello orders checklists and their entries by the "pos" field, not by array order.
+    return checklists.slice().sort((a, b) => a.pos - b.pos).map(checklist => {
+        return {
+            name: checklist.name,
+            items: checklist.checkItems.slice().sort((a, b) => a.pos - b.pos).map(checkItem => {
+                return {
+                    name: checkItem.name,
+                    complete: checkItem.state === 'complete'
+                };
+            })
+        };
+    });
+}
+
+function getComments(card) {
+    const comments = cardIdToComments[card.id] || [];
+
+    // Trello lists actions newest first; keep comments in the order they were written.
+    return comments.slice().sort((a, b) => new Date(a.date) - new Date(b.date)).map(action => {
+        const member = action.memberCreator || {};
+        return {
+            author: member.fullName || member.username || '',
+            date: new Date(action.date).toISOString(),
+            text: action.data.text
+        };
+    });
+}
+
 function getDesc(card) {
     // Remove any URLs from the description.
     const urlRegex = /(https?:\/\/[^\s]+)/g;
@@ -186,5 +469,14 @@ function getDesc(card) {
 }
 
 function getCreatedIsoDate(card) {
+    // Prefer the createCard action, but the export only carries the most recent actions, so fall back to the
+    // timestamp embedded in the card id: its first 8 hex digits are the creation time in seconds since the epoch.
+    if (cardIdToCreatedDate[card.id]) {
+        return new Date(cardIdToCreatedDate[card.id]).toISOString();
+    }
+    return new Date(parseInt(card.id.substring(0, 8), 16) * 1000).toISOString();
+}
+
+function getLastActivityIsoDate(card) {
     return new Date(card.dateLastActivity).toISOString();
 }
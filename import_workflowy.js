@@ -0,0 +1,93 @@
+/*
+This script reads a Workflowy OPML export of the "LEARNING DB" tree (as created by pasting the output of
+export_workflowy.js into Workflowy, and then editing it there) back into the tech learning materials JSON file, so that
+edits made in Workflowy (tags, completion, titles...) can flow back into the data.
+
+Command-line arguments:
+1. Path to the Workflowy OPML export file.
+2. (optional) Output JSON file path; defaults to tech_learning_materials.json in the same directory as the OPML file.
+3. (optional) Text of the outline holding the learning DB; defaults to "LEARNING DB". If no outline has that text
+   (ignoring case), the whole OPML body is read.
+
+See workflowy_opml.js for how cards are recognized, read back into items (title, url, authors, type, status, tags,
+formats, description, checklists and comments), and matched to existing items.
+
+A card matching an item already in the output JSON file updates that item: only the fields read from Workflowy are
+replaced, so fields Workflowy doesn't show (created, location, board...) are kept, as is the time of day of comments
+already in the item (Workflowy only shows their day). Other cards are added as new items with the id in their note or,
+if they have none, an id hashed from their title and URL, a created date from their year/month groups (if any), and no location.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const itemStore = require('./item_store');
+const itemsSchema = require('./items_schema');
+const workflowyOpml = require('./workflowy_opml');
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+
+const args = process.argv.slice(2);
+const inputFilePath = args[0];
+const outputFilePath = args[1] ? args[1] : path.join(path.dirname(inputFilePath), 'tech_learning_materials.json');
+const rootText = args[2] ? args[2] : 'LEARNING DB';
+
+const monthNames = ['JANUARY', 'FEBRUARY', 'MARCH', 'APRIL', 'MAY', 'JUNE', 'JULY', 'AUGUST', 'SEPTEMBER', 'OCTOBER',
+    'NOVEMBER', 'DECEMBER'];
+
+const output = itemStore.loadItems(outputFilePath);
+
+const importedItems = workflowyOpml.readCards(inputFilePath, rootText).map(card => {
+    const item = card.item;
+
+    const existingItem = workflowyOpml.findMatchingItem(output.items, item);
+    if (existingItem) {
+        item.id = existingItem.id;
+        if (item.comments) {
+            item.comments = item.comments.map(comment => keepCommentTime(comment, existingItem.comments || []));
+        }
+    } else {
+        item.id = item.id || itemStore.getHashId(`${item.title}\n${item.url}`);
+        item.created = getCreatedFromGroups(card.groupTexts);
+        item.location = '';
+    }
+
+    return item;
+});
+
+itemsSchema.dropInvalidItems(importedItems, 'import_workflowy.js');
+
+const summary = itemStore.upsertItems(output, importedItems);
+
+itemsSchema.assertValidItems(output, 'import_workflowy.js');
+
+// Write output to file.
+writeFile(outputFilePath, JSON.stringify(output, null, 2))
+    .then(() => {
+        console.log(`Imported ${importedItems.length} Workflowy card(s) to ${outputFilePath}`);
+        console.log(`Added ${summary.added}, updated ${summary.updated}, unchanged ${summary.unchanged} item(s)`);
+    })
+    .catch(err => {
+        console.log(err);
+        process.exitCode = 1;
+    });
+
+// Workflowy only shows the day of a comment, so keep the full date and time of the same comment if it's already known.
+function keepCommentTime(comment, existingComments) {
+    const existingComment = existingComments.find(otherComment => {
+        return otherComment.author === comment.author && otherComment.text === comment.text &&
+            otherComment.date.substring(0, 10) === comment.date.substring(0, 10);
+    });
+    return existingComment ? Object.assign({}, comment, { date: existingComment.date }) : comment;
+}
+
+// Use the year and month groups the card was found in (e.g. "2021" and "FEBRUARY") as its created date, or now.
+function getCreatedFromGroups(groupTexts) {
+    const year = groupTexts.find(text => /^\d{4}$/.test(text));
+    if (!year) {
+        return new Date().toISOString();
+    }
+    const monthIndex = monthNames.findIndex(monthName => groupTexts.includes(monthName));
+    return new Date(Date.UTC(parseInt(year, 10), Math.max(monthIndex, 0), 1)).toISOString();
+}
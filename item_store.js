@@ -0,0 +1,232 @@
+/*
+Shared helpers for importers that write items into the tech learning materials JSON file, so that running an importer
+again updates the items it imported before instead of adding them a second time.
+
+Every item has a stable "id" assigned by its importer (e.g. the Trello card id, or a hash of a downloaded book's path
+relative to the books folder). Importing an item whose id is already in the file updates that item in place: the
+fields the importer sets are replaced as they are, so edits in the source (a card moved to another list, a label
+removed, a description cleared...) show up, while fields it doesn't set (e.g. "mergedIds") are kept.
+
+Values that other sources contributed to an item are recorded in its "contributions", by source id (see below), and
+applied again after every such update, so they aren't lost:
+- enrichments: an importer can update an item it doesn't own, e.g. import_goodreads.js adding the ISBN and rating to a
+  Trello book card (see book_library.js); the enriched fields replace those of the item
+- duplicates merged by dedupe_data.js, recorded as "merged:{id}": their values fill in the fields the item leaves
+  empty (e.g. the url) and are added to its array fields (tags, formats, paths, checklists, comments...). Importing an
+  item whose id was merged into another one (see "mergedIds") updates its record.
+Either way, "authors" are only set when the item has none, and a "location" only replaces a less specific one (any
+location is more specific than none, and any other location than "other"); a different specific location is added to
+"locations" instead (see dedupe_data.js).
+A contribution is dropped when its source no longer has it, and its values disappear the next time the item's own
+importer updates the item. Importers that don't name a source (import_workflowy.js) only replace the fields they set.
+
+STALE ITEMS:
+Importers pass the name of their source (e.g. "trello" or "books"), and every item records the source ids it was
+imported under in "sourceIds" (e.g. "trello:5a1c2d..."; dedupe_data.js keeps those of merged items). After an import,
+the source ids of that source that were not imported again are removed, and an item left without any source id (its
+Trello card, book file, bookmark... no longer exists) is marked "stale": true, so it can be reviewed or dropped with
+a cleanup rule (see clean_data.js). An item that is imported again loses its "stale" mark.
+*/
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Fields that are the item's own and never come from a contribution.
+const ownFields = ['id', 'title', 'created', 'lastActivity', 'type', 'status', 'mergedIds', 'sourceIds', 'contributions',
+    'stale'];
+
+module.exports = {
+    loadItems,
+    upsertItems,
+    getContribution,
+    getHashId
+};
+
+// Load the existing output JSON file, or start a new one if it doesn't exist yet. Files written before items had ids
+// (when import_trello.js rewrote the whole file every time) are migrated: items without an id can't be updated in
+// place, so they are dropped and imported again from their sources, and items without a status get "backlog".
+function loadItems(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return { items: [] };
+    }
+
+    const output = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    output.items = Array.isArray(output.items) ? output.items : [];
+
+    const itemsWithId = output.items.filter(item => item && typeof item.id === 'string' && item.id.length > 0);
+    if (itemsWithId.length < output.items.length) {
+        console.log(`Dropped ${output.items.length - itemsWithId.length} item(s) without an id from ${filePath}, written by an `
+            + 'older version of the importers; they are imported again from their sources');
+        output.items = itemsWithId;
+    }
+    output.items.forEach(item => {
+        if (!item.status) {
+            item.status = 'backlog';
+        }
+    });
+
+    return output;
+}
+
+// Add or update the imported items in output.items by id, then mark the source's items that weren't imported again as
+// stale. Options: "source" (name of the source, to track contributions and stale items) and "enrichments" (partial
+// items with the id of an existing item and the fields to enrich it with). Return counts of added, updated, unchanged
+// and stale items.
+function upsertItems(output, importedItems, options) {
+    const source = options && options.source ? options.source : '';
+    const enrichments = options && options.enrichments ? options.enrichments : [];
+    const summary = { added: 0, updated: 0, unchanged: 0, stale: 0 };
+
+    const itemsById = {};
+    // Items that ids merged away by dedupe_data.js were merged into.
+    const mergedItemsById = {};
+    output.items.forEach(item => {
+        itemsById[item.id] = item;
+        (item.mergedIds || []).forEach(mergedId => {
+            mergedItemsById[mergedId] = mergedItemsById[mergedId] || item;
+        });
+    });
+
+    const importedSourceIds = new Set();
+    const upsert = (importedItem, isEnrichment) => {
+        const sourceId = source ? `${source}:${importedItem.id}` : '';
+        importedSourceIds.add(sourceId);
+
+        if (!itemsById[importedItem.id] && !mergedItemsById[importedItem.id]) {
+            const item = Object.assign({}, importedItem);
+            addSourceId(item, sourceId);
+            output.items.push(item);
+            itemsById[item.id] = item;
+            summary.added++;
+            return;
+        }
+
+        const existingItem = itemsById[importedItem.id] || mergedItemsById[importedItem.id];
+        const before = JSON.stringify(existingItem);
+        if (!itemsById[importedItem.id]) {
+            addContribution(existingItem, `merged:${importedItem.id}`, getContribution(importedItem));
+        } else if (isEnrichment && sourceId) {
+            addContribution(existingItem, sourceId, getContribution(importedItem));
+        } else {
+            Object.keys(importedItem).forEach(field => {
+                existingItem[field] = importedItem[field];
+            });
+            Object.keys(existingItem.contributions || {}).forEach(key => {
+                applyContribution(existingItem, key, existingItem.contributions[key]);
+            });
+        }
+        addSourceId(existingItem, sourceId);
+        if (JSON.stringify(existingItem) === before) {
+            summary.unchanged++;
+        } else {
+            summary.updated++;
+        }
+    };
+    importedItems.forEach(importedItem => upsert(importedItem, false));
+    enrichments.forEach(enrichment => upsert(enrichment, true));
+
+    if (source) {
+        output.items.forEach(item => {
+            if (!item.sourceIds) {
+                return;
+            }
+            item.sourceIds = item.sourceIds.filter(sourceId => {
+                if (!sourceId.startsWith(`${source}:`) || importedSourceIds.has(sourceId)) {
+                    return true;
+                }
+                // The source's contribution to the item, as an enrichment or as a merged duplicate, is gone too.
+                if (item.contributions) {
+                    delete item.contributions[sourceId];
+                    delete item.contributions[`merged:${sourceId.substring(source.length + 1)}`];
+                }
+                return false;
+            });
+            if (item.sourceIds.length === 0) {
+                item.stale = true;
+                summary.stale++;
+            }
+        });
+    }
+
+    return summary;
+}
+
+// Return the fields of an item that can contribute to another item (see "contributions" above): all but its identity,
+// dates, type, status and bookkeeping fields.
+function getContribution(item) {
+    const contribution = {};
+    Object.keys(item).forEach(field => {
+        if (!ownFields.includes(field) && !isEmpty(item[field])) {
+            contribution[field] = item[field];
+        }
+    });
+    return contribution;
+}
+
+function addContribution(item, key, contribution) {
+    item.contributions = item.contributions || {};
+    item.contributions[key] = contribution;
+    applyContribution(item, key, contribution);
+}
+
+// Add a contribution's array values to the item's; other values replace the item's for enrichments, and only fill in
+// empty ones for merged duplicates. Authors and location follow their own rules (see "contributions" above).
+function applyContribution(item, key, contribution) {
+    Object.keys(contribution).forEach(field => {
+        const value = contribution[field];
+        if (field === 'location') {
+            applyLocation(item, value);
+        } else if (field === 'authors') {
+            item.authors = isEmpty(item.authors) ? value : item.authors;
+        } else if (Array.isArray(value)) {
+            const values = Array.isArray(item[field]) ? item[field].slice() : [];
+            value.forEach(element => {
+                if (!values.some(otherElement => JSON.stringify(otherElement) === JSON.stringify(element))) {
+                    values.push(element);
+                }
+            });
+            item[field] = values;
+        } else if (!key.startsWith('merged:') || isEmpty(item[field])) {
+            item[field] = value;
+        }
+    });
+}
+
+function applyLocation(item, location) {
+    const itemLocation = item.location || '';
+    if (getLocationSpecificity(location) > getLocationSpecificity(itemLocation)) {
+        item.location = location;
+    } else if (getLocationSpecificity(location) === 2 && location !== itemLocation) {
+        const locations = item.locations || [itemLocation];
+        if (!locations.includes(location)) {
+            item.locations = locations.concat(location);
+        }
+    }
+}
+
+// 0 for no location, 1 for "other" and 2 for any specific location.
+function getLocationSpecificity(location) {
+    if (!location) {
+        return 0;
+    }
+    return location === 'other' ? 1 : 2;
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function addSourceId(item, sourceId) {
+    if (!sourceId) {
+        return;
+    }
+    item.sourceIds = item.sourceIds || [];
+    if (!item.sourceIds.includes(sourceId)) {
+        item.sourceIds.push(sourceId);
+    }
+    delete item.stale;
+}
+
+function getHashId(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
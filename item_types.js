@@ -0,0 +1,39 @@
+/*
+Shared classification of items into types ("book", "video", "course", "documentation", "article" or "other") from
+their URL and title, used by import_trello.js for cards and import_bookmarks.js for bookmarks.
+
+- "book" if the hints include "book"
+- "video" for YouTube URLs
+- "course" if the hints include "course", or for Pluralsight and Udemy URLs
+- "documentation" if the title mentions "docs" or "documentation"
+- "article" for any other item with a URL, and "other" for items without one
+Hints are lowercase names that force a type, e.g. the names of a Trello card's labels.
+*/
+
+module.exports = {
+    getType
+};
+
+function getType(url, title, hints) {
+    if (hints.includes('book')) {
+        return 'book';
+    }
+
+    // if url includes "youtube.com" use "video" type.
+    if (url.includes('youtube.com')) {
+        return 'video';
+    }
+
+    if (hints.includes('course')
+        || url.includes('pluralsight.com')
+        || url.includes('udemy.com')) {
+        return 'course';
+    }
+    if (title.toLowerCase().includes('docs') || title.toLowerCase().includes('documentation')) {
+        return 'documentation';
+    }
+    if (url.length > 0) {
+        return 'article';
+    }
+    return 'other';
+}
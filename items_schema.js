@@ -0,0 +1,261 @@
+/*
+Schema of the tech learning materials JSON file ({ "items": [...] }) that the import, dedupe and clean stages write and
+export_workflowy.js reads. Every stage validates the items before writing them, and the export validates them before
+reading them, so a bad item is reported by the stage that produced it instead of crashing (or quietly misbehaving in)
+a later one. Importers first drop the invalid values read from their source files, reporting each one, so that one bad
+value in a source file doesn't stop the whole stage: an invalid optional field (e.g. a malformed date in a book's
+metadata) or array element (e.g. a tag with a space) is dropped, and an item with any other invalid field (e.g. a
+Trello card without a name) is skipped, so the item already in the file, if any, stays as it was (though its importer
+may mark it stale, see item_store.js). Invalid data already in the file still stops the stage.
+
+Each field is described by:
+- "type": "string", "boolean", "integer", "array" or "object"
+- "required": true if the field must be present
+- "enum": the allowed values
+- "format": "iso-datetime" (e.g. 2019-01-01T00:00:00.000Z), "partial-date" (YYYY, YYYY-MM or YYYY-MM-DD, optionally
+  followed by a time), "tag" (no whitespace or "#"), "url" (http or https), or "non-empty"; empty strings are allowed
+  for "partial-date" and "url"
+- "items": the schema of each element of an array
+- "properties": the schema of each field of an object
+Fields not in the schema are allowed and not checked.
+*/
+
+const types = ['book', 'video', 'article', 'course', 'documentation', 'other'];
+const locations = ['', 'downloaded', 'kindle', 'print', 'google play', 'online', 'other'];
+const statuses = ['backlog', 'on-deck', 'in-progress', 'done', 'archived'];
+
+const itemSchema = {
+    id: { type: 'string', required: true, format: 'non-empty' },
+    title: { type: 'string', required: true, format: 'non-empty' },
+    description: { type: 'string', required: true },
+    created: { type: 'string', required: true, format: 'iso-datetime' },
+    lastActivity: { type: 'string', format: 'iso-datetime' },
+    tags: { type: 'array', required: true, items: { type: 'string', format: 'tag' } },
+    type: { type: 'string', required: true, enum: types },
+    url: { type: 'string', required: true, format: 'url' },
+    location: { type: 'string', required: true, enum: locations },
+    locations: { type: 'array', items: { type: 'string', enum: locations } },
+    status: { type: 'string', required: true, enum: statuses },
+    board: { type: 'string' },
+    provider: { type: 'string', format: 'non-empty' },
+    checklists: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', required: true },
+                items: {
+                    type: 'array',
+                    required: true,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string', required: true },
+                            complete: { type: 'boolean', required: true }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    comments: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                author: { type: 'string', required: true },
+                date: { type: 'string', required: true, format: 'iso-datetime' },
+                text: { type: 'string', required: true }
+            }
+        }
+    },
+    authors: { type: 'array', items: { type: 'string', format: 'non-empty' } },
+    publisher: { type: 'string' },
+    published: { type: 'string', format: 'partial-date' },
+    pdfCreated: { type: 'string', format: 'partial-date' },
+    language: { type: 'string' },
+    subjects: { type: 'array', items: { type: 'string' } },
+    pages: { type: 'integer' },
+    formats: { type: 'array', items: { type: 'string', format: 'non-empty' } },
+    paths: { type: 'array', items: { type: 'string', format: 'non-empty' } },
+    mergedIds: { type: 'array', items: { type: 'string', format: 'non-empty' } },
+    isbn: { type: 'string', format: 'non-empty' },
+    asin: { type: 'string', format: 'non-empty' },
+    shelf: { type: 'string', format: 'non-empty' },
+    rating: { type: 'integer' },
+    sourceIds: { type: 'array', items: { type: 'string', format: 'non-empty' } },
+    stale: { type: 'boolean' },
+    contributions: { type: 'object' }
+};
+
+module.exports = {
+    itemSchema,
+    validateItems,
+    assertValidItems,
+    dropInvalidItems
+};
+
+// Return one entry per invalid item: { index, title, errors: ["tags[1]: ...", ...] }.
+function validateItems(output) {
+    if (!output || !Array.isArray(output.items)) {
+        return [{ index: -1, title: '', errors: ['items: expected an array'] }];
+    }
+
+    const invalidItems = [];
+    output.items.forEach((item, index) => {
+        const errors = [];
+        validateValue(item, { type: 'object', properties: itemSchema }, '', errors);
+        if (errors.length > 0) {
+            invalidItems.push({ index, title: item && typeof item.title === 'string' ? item.title : '', errors });
+        }
+    });
+
+    const seenIds = {};
+    output.items.forEach((item, index) => {
+        if (item && typeof item.id === 'string' && item.id.length > 0) {
+            if (seenIds[item.id] !== undefined) {
+                invalidItems.push({ index, title: item.title || '', errors: [`id: same id as item #${seenIds[item.id] + 1}`] });
+            } else {
+                seenIds[item.id] = index;
+            }
+        }
+    });
+
+    return invalidItems.sort((a, b) => a.index - b.index);
+}
+
+// Validate the items and, if any is invalid, print a per-item error report and exit with a non-zero code.
+function assertValidItems(output, stageName) {
+    const invalidItems = validateItems(output);
+    if (invalidItems.length === 0) {
+        return;
+    }
+
+    console.error(`${stageName}: ${invalidItems.length} invalid item(s) in the tech learning materials data:`);
+    invalidItems.forEach(invalidItem => {
+        const titleText = invalidItem.title ? ` "${invalidItem.title}"` : '';
+        console.error(`  Item #${invalidItem.index + 1}${titleText}:`);
+        invalidItem.errors.forEach(error => {
+            console.error(`    - ${error}`);
+        });
+    });
+    process.exit(1);
+}
+
+// Drop the invalid values of the imported items and print what was dropped: invalid optional fields and array elements
+// are removed, and items with any other invalid field are removed from the array. Fields an item doesn't set aren't
+// checked, since an update only replaces the fields it sets (see item_store.js).
+function dropInvalidItems(items, stageName) {
+    const validItems = items.filter(item => {
+        const titleText = typeof item.title === 'string' && item.title.trim() ? ` "${item.title}"` : ` ${item.id}`;
+        const itemErrors = [];
+        Object.keys(itemSchema).forEach(key => {
+            const schema = itemSchema[key];
+            if (item[key] === undefined) {
+                return;
+            }
+            const errors = [];
+            validateValue(item[key], schema, key, errors);
+            if (errors.length === 0) {
+                return;
+            }
+
+            if (Array.isArray(item[key]) && schema.items) {
+                item[key] = item[key].filter(element => {
+                    const elementErrors = [];
+                    validateValue(element, schema.items, key, elementErrors);
+                    return elementErrors.length === 0;
+                });
+            } else if (!schema.required) {
+                delete item[key];
+            } else {
+                itemErrors.push(...errors);
+                return;
+            }
+            console.log(`${stageName}: dropped invalid value(s) of item${titleText}: ${errors.join('; ')}`);
+        });
+
+        if (itemErrors.length > 0) {
+            console.log(`${stageName}: skipped invalid item${titleText}: ${itemErrors.join('; ')}`);
+        }
+        return itemErrors.length === 0;
+    });
+
+    items.splice(0, items.length, ...validItems);
+}
+
+function validateValue(value, schema, fieldPath, errors) {
+    const label = fieldPath || 'item';
+
+    if (!hasType(value, schema.type)) {
+        errors.push(`${label}: expected ${schema.type === 'array' ? 'an array' : `a ${schema.type}`}, got ${describe(value)}`);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${label}: "${value}" is not one of ${schema.enum.map(option => `"${option}"`).join(', ')}`);
+    }
+    if (schema.format) {
+        const formatError = getFormatError(value, schema.format);
+        if (formatError) {
+            errors.push(`${label}: ${formatError}`);
+        }
+    }
+    if (schema.items) {
+        value.forEach((element, index) => {
+            validateValue(element, schema.items, `${fieldPath}[${index}]`, errors);
+        });
+    }
+    if (schema.properties) {
+        Object.keys(schema.properties).forEach(key => {
+            const propertyPath = fieldPath ? `${fieldPath}.${key}` : key;
+            if (value[key] === undefined) {
+                if (schema.properties[key].required) {
+                    errors.push(`${propertyPath}: missing`);
+                }
+                return;
+            }
+            validateValue(value[key], schema.properties[key], propertyPath, errors);
+        });
+    }
+}
+
+function hasType(value, type) {
+    switch (type) {
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer':
+            return Number.isInteger(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+function getFormatError(value, format) {
+    switch (format) {
+        case 'non-empty':
+            return value.trim().length === 0 ? 'must not be empty' : '';
+        case 'tag':
+            return /^[^\s#]+$/.test(value) ? '' : `"${value}" is not a valid tag (must be non-empty, without spaces or "#")`;
+        case 'url':
+            return value === '' || /^https?:\/\/\S+$/i.test(value) ? '' : `"${value}" is not an http(s) URL`;
+        case 'iso-datetime':
+            return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !isNaN(new Date(value))
+                ? ''
+                : `"${value}" is not an ISO 8601 date and time`;
+        case 'partial-date':
+            return value === '' || /^\d{4}(-\d{2}(-\d{2}([T ].*)?)?)?$/.test(value)
+                ? ''
+                : `"${value}" is not a date (YYYY, YYYY-MM or YYYY-MM-DD)`;
+        default:
+            return '';
+    }
+}
+
+function describe(value) {
+    if (value === null) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'an array' : typeof value;
+}
@@ -0,0 +1,332 @@
+/*
+Reads the document metadata of a PDF file, entirely offline, for import_books.js.
+
+Metadata comes from two places in a PDF:
+- the document Info dictionary referenced by the trailer (/Title, /Author, /CreationDate)
+- the XMP metadata packet (<x:xmpmeta>), an XML document with dc:title, dc:creator and xmp:CreateDate
+Info values win; XMP fills in whatever the Info dictionary leaves empty. The page count is the /Count of the root
+/Pages object of the document catalog. Objects packed into compressed object streams (PDF 1.5+) are read too, as
+long as they use FlateDecode.
+
+To keep memory use low with large books, only the first and last megabyte of the file are read: that's where the
+trailer, the document catalog and the Info dictionary are written (at the end, or at the start of "linearized" PDFs),
+and where incremental updates append newer versions of them. Where an object appears in both, the one from the end of
+the file wins. The XMP packet used is the one the catalog's /Metadata refers to if it was read, or else the last one
+found, since incremental updates append newer packets after older ones. Anything only written in the middle of a large
+file (e.g. the page tree of some PDFs) is missed and left empty.
+
+getPdfMetadata() returns:
+{
+    "title": "Real Book Title", // "" if missing or junk (see isJunkTitle)
+    "authors": ["Author One"],   // [] if missing or junk (see isJunkAuthor)
+    "pages": 352,                // 0 if unknown
+    "created": "2015-03-01"      // when the PDF file was created, as YYYY-MM-DD; "" if missing or invalid
+}
+or null if the file isn't a readable PDF.
+*/
+
+const fs = require('fs');
+const zlib = require('zlib');
+const htmlparser2 = require('htmlparser2');
+
+const DomUtils = htmlparser2.DomUtils;
+
+// Size of the parts read from the start and the end of the file.
+const chunkSize = 1024 * 1024;
+
+module.exports = {
+    getPdfMetadata
+};
+
+function getPdfMetadata(filePath) {
+    try {
+        const chunks = readChunks(filePath);
+        if (!chunks[0].startsWith('%PDF-')) {
+            return null;
+        }
+
+        // Objects are read from each chunk separately, so that no object spans the gap between them.
+        const text = chunks.join('\n');
+        const objects = Object.assign({}, ...chunks.map(getObjects));
+        const info = getInfo(text, objects);
+        const xmp = getXmp(text, chunks, objects);
+
+        const title = [info.title, xmp.title].find(value => value && !isJunkTitle(value)) || '';
+        const author = [info.author, xmp.author].find(value => value && !isJunkAuthor(value)) || '';
+
+        return {
+            title,
+            authors: author ? splitAuthors(author) : [],
+            pages: getPageCount(text, objects),
+            created: parsePdfDate(info.creationDate) || parseXmpDate(xmp.createDate)
+        };
+    } catch (err) {
+        return null;
+    }
+}
+
+// Read the whole file if it's small, or else its first and last chunkSize bytes. latin1 keeps one character per byte, so
+// offsets and binary stream data survive the round trip.
+function readChunks(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const size = fs.fstatSync(fd).size;
+        const read = (position, length) => {
+            const buffer = Buffer.alloc(length);
+            const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+            return buffer.toString('latin1', 0, bytesRead);
+        };
+        if (size <= chunkSize * 2) {
+            return [read(0, size)];
+        }
+        return [read(0, chunkSize), read(size - chunkSize, chunkSize)];
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Return a mapping of object number to object text, including objects inside compressed object streams.
+function getObjects(text) {
+    const objects = {};
+    const objectRegex = /(\d+)\s+\d+\s+obj\b([\s\S]*?)\bendobj\b/g;
+    let match;
+
+    while ((match = objectRegex.exec(text)) !== null) {
+        objects[match[1]] = match[2];
+    }
+
+    Object.keys(objects).forEach(objectNumber => {
+        const body = objects[objectNumber];
+        if (!/\/Type\s*\/ObjStm\b/.test(body)) {
+            return;
+        }
+
+        const streamText = getStreamText(body);
+        const count = getNumber(body, 'N');
+        const first = getNumber(body, 'First');
+        if (streamText === null || !count || first === null) {
+            return;
+        }
+
+        // The stream starts with pairs of "object number, offset relative to /First", followed by the objects.
+        const header = streamText.substring(0, first).trim().split(/\s+/).map(Number);
+        for (let i = 0; i < count; i++) {
+            const start = first + header[i * 2 + 1];
+            const end = i + 1 < count ? first + header[(i + 1) * 2 + 1] : streamText.length;
+            objects[header[i * 2]] = streamText.substring(start, end);
+        }
+    });
+
+    return objects;
+}
+
+function getStreamText(body) {
+    const streamMatch = /stream\r?\n([\s\S]*?)\r?\n?endstream/.exec(body);
+    if (!streamMatch) {
+        return null;
+    }
+    if (!/\/Filter\s*\/FlateDecode\b/.test(body)) {
+        return /\/Filter\b/.test(body) ? null : streamMatch[1];
+    }
+    return zlib.inflateSync(Buffer.from(streamMatch[1], 'latin1'), { finishFlush: zlib.constants.Z_SYNC_FLUSH }).toString('latin1');
+}
+
+function getNumber(dictionary, key) {
+    const match = new RegExp(`/${key}\\s+(\\d+)`).exec(dictionary);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+// Return the object number referenced by the last occurrence of the key, e.g. "/Info 12 0 R" gives "12".
+function getLastReference(text, key) {
+    const regex = new RegExp(`/${key}\\s+(\\d+)\\s+\\d+\\s+R`, 'g');
+    let reference = null;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        reference = match[1];
+    }
+    return reference;
+}
+
+function getInfo(text, objects) {
+    const infoReference = getLastReference(text, 'Info');
+    const info = infoReference ? objects[infoReference] : null;
+    if (!info) {
+        return {};
+    }
+    return {
+        title: getStringValue(info, 'Title', objects),
+        author: getStringValue(info, 'Author', objects),
+        creationDate: getStringValue(info, 'CreationDate', objects)
+    };
+}
+
+function getStringValue(dictionary, key, objects) {
+    const keyMatch = new RegExp(`/${key}\\s*`).exec(dictionary);
+    if (!keyMatch) {
+        return '';
+    }
+
+    let valueText = dictionary.substring(keyMatch.index + keyMatch[0].length);
+    const referenceMatch = /^(\d+)\s+\d+\s+R/.exec(valueText);
+    if (referenceMatch) {
+        valueText = (objects[referenceMatch[1]] || '').trim();
+    }
+
+    if (valueText.startsWith('(')) {
+        return decodePdfString(readLiteralString(valueText));
+    }
+    const hexMatch = /^<([0-9A-Fa-f\s]*)>/.exec(valueText);
+    if (hexMatch) {
+        return decodePdfString(Buffer.from(hexMatch[1].replace(/\s/g, ''), 'hex').toString('latin1'));
+    }
+    return '';
+}
+
+// Read a literal string such as "(Title \(2nd ed.\))" starting at the opening parenthesis, handling escapes and
+// balanced nested parentheses.
+function readLiteralString(text) {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    let value = '';
+    let depth = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const character = text[i];
+        if (character === '\\') {
+            const next = text[i + 1];
+            const octalMatch = /^[0-7]{1,3}/.exec(text.substring(i + 1, i + 4));
+            if (octalMatch) {
+                value += String.fromCharCode(parseInt(octalMatch[0], 8));
+                i += octalMatch[0].length;
+            } else if (next === '\r' || next === '\n') {
+                // A backslash at the end of a line continues the string on the next line.
+                i += next === '\r' && text[i + 2] === '\n' ? 2 : 1;
+            } else {
+                value += escapes[next] || next;
+                i++;
+            }
+        } else if (character === '(') {
+            if (depth > 0) {
+                value += character;
+            }
+            depth++;
+        } else if (character === ')') {
+            depth--;
+            if (depth === 0) {
+                break;
+            }
+            value += character;
+        } else {
+            value += character;
+        }
+    }
+
+    return value;
+}
+
+// PDF text strings are either UTF-16BE with a byte order mark, or PDFDocEncoding (close enough to latin1 here).
+function decodePdfString(bytes) {
+    if (bytes.startsWith('þÿ')) {
+        return Buffer.from(bytes.substring(2), 'latin1').swap16().toString('utf16le').trim();
+    }
+    if (bytes.startsWith('ï»¿')) {
+        return Buffer.from(bytes.substring(3), 'latin1').toString('utf8').trim();
+    }
+    return bytes.trim();
+}
+
+// Read the XMP packet of the catalog's /Metadata stream, or else the last packet in the chunks read.
+function getXmp(text, chunks, objects) {
+    const rootReference = getLastReference(text, 'Root');
+    const catalog = rootReference ? objects[rootReference] : null;
+    const metadataMatch = catalog ? /\/Metadata\s+(\d+)\s+\d+\s+R/.exec(catalog) : null;
+    let metadataText = null;
+    try {
+        metadataText = metadataMatch && objects[metadataMatch[1]] ? getStreamText(objects[metadataMatch[1]]) : null;
+    } catch (err) {
+        // A damaged metadata stream; fall back to the packets in the chunks.
+    }
+
+    const xml = [metadataText].concat(chunks.slice().reverse()).reduce((packet, source) => {
+        if (packet || !source) {
+            return packet;
+        }
+        const start = source.lastIndexOf('<x:xmpmeta');
+        const end = start < 0 ? -1 : source.indexOf('</x:xmpmeta>', start);
+        return end < 0 ? '' : Buffer.from(source.substring(start, end + '</x:xmpmeta>'.length), 'latin1').toString('utf8');
+    }, '');
+    if (!xml) {
+        return {};
+    }
+
+    const document = htmlparser2.parseDocument(xml, { xmlMode: true });
+    const getText = name => {
+        const element = DomUtils.findOne(node => node.name === name, DomUtils.getChildren(document));
+        if (!element) {
+            return '';
+        }
+        // dc:title and dc:creator hold an rdf:Alt or rdf:Seq of rdf:li values.
+        const values = DomUtils.findAll(node => node.name === 'rdf:li', DomUtils.getChildren(element));
+        const texts = (values.length > 0 ? values : [element]).map(node => DomUtils.textContent(node).trim());
+        return texts.filter(value => value.length > 0).join('; ');
+    };
+
+    return {
+        title: getText('dc:title'),
+        author: getText('dc:creator'),
+        createDate: getText('xmp:CreateDate')
+    };
+}
+
+function getPageCount(text, objects) {
+    const rootReference = getLastReference(text, 'Root');
+    const catalog = rootReference ? objects[rootReference] : null;
+    const pagesMatch = catalog ? /\/Pages\s+(\d+)\s+\d+\s+R/.exec(catalog) : null;
+    const pages = pagesMatch ? objects[pagesMatch[1]] : null;
+    return pages ? getNumber(pages, 'Count') || 0 : 0;
+}
+
+// Parse a PDF date such as "D:20150301120000+01'00'" into YYYY-MM-DD.
+function parsePdfDate(value) {
+    const match = /^(?:D:)?(\d{4})(\d{2})?(\d{2})?/.exec(value || '');
+    if (!match) {
+        return '';
+    }
+    return toIsoDate(match[1], match[2] || '01', match[3] || '01');
+}
+
+// Parse an XMP date such as "2015-03-01T12:00:00+01:00" into YYYY-MM-DD.
+function parseXmpDate(value) {
+    const match = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/.exec(value || '');
+    if (!match) {
+        return '';
+    }
+    return toIsoDate(match[1], match[2] || '01', match[3] || '01');
+}
+
+function toIsoDate(year, month, day) {
+    const date = new Date(Date.UTC(parseInt(year, 10), parseInt(month, 10) - 1, parseInt(day, 10)));
+    // Reject dates that don't exist (e.g. month 13) and the placeholder years some PDF producers write.
+    if (isNaN(date) || date.getUTCMonth() !== parseInt(month, 10) - 1 || date.getUTCFullYear() < 1980) {
+        return '';
+    }
+    return date.toISOString().substring(0, 10);
+}
+
+// Titles written by authoring tools rather than people: file names, "Untitled", "Microsoft Word - ...", etc.
+function isJunkTitle(title) {
+    const lowerTitle = title.toLowerCase();
+    return title.length < 3
+        || !/\p{L}/u.test(title)
+        || /\.(pdf|docx?|rtf|txt|tex|dvi|indd|qxd|fm|html?|p65)$/.test(lowerTitle)
+        || /^(untitled|title|document|microsoft word|adobe|powerpoint|slide|layout)\b/.test(lowerTitle)
+        || /^[\w-]+_[\w-]+$/.test(title);
+}
+
+function isJunkAuthor(author) {
+    return author.length < 2
+        || /^(administrator|admin|user|owner|unknown|author|default|compaq|hp|dell|pc)$/i.test(author.trim());
+}
+
+function splitAuthors(author) {
+    return author.split(/\s*;\s*|\s*&\s*|\s+and\s+/).filter(name => name.length > 0);
+}
@@ -0,0 +1,201 @@
+/*
+This script runs the full migration of all tech learning materials to the final output file, like batch.ps1 does,
+but on any platform Node runs on. Every stage is a separate run of one of the scripts in this folder; the pipeline
+stops at the first stage that fails and exits with that stage's exit code.
+
+Stages, in order:
+- import: import_trello.js
+- books: import_books.js
+- courses: import_course_catalog.js, once per saved course catalog
+- bookmarks: import_bookmarks.js, once per bookmarks file
+- library: import_goodreads.js and import_kindle.js, for the library files that are configured
+- dedupe: dedupe_data.js
+- clean: clean_data.js
+- export: export_workflowy.js
+
+Command-line arguments:
+1. The workspace path, where input files are to be found as well as where output files will be written.
+Options (after the workspace path):
+- --only <stage,stage,...>: run only these stages
+- --skip <stage,stage,...>: run all stages except these
+- --dry-run: print the commands of the stages that would run, without running them
+
+The workspace must contain a pipeline.json file. All paths in it are relative to the workspace, except absolute ones.
+Only "email" and (if the books stage runs) "techBooksPath" are required:
+{
+    "email": "my@email.com",                      // owner email written to the OPML
+    "techBooksPath": "D:/Books/Tech",              // directory of downloaded tech books
+    "trelloFiles": ["trello.json"],                // Trello board export files; default ["trello.json"]
+    "courseCatalogs": [                            // saved course catalog pages; see import_course_catalog.js
+        { "profile": "udemy", "files": ["udemy_my_courses.html"] }
+    ],
+    "catalogProfiles": "catalog_profiles.json",    // more site profiles; default "catalog_profiles.json"
+    "bookmarkFiles": ["bookmarks.html"],           // browser bookmark export files; see import_bookmarks.js
+    "bookmarkFolders": "bookmark_folders.json",    // bookmark folder allowlist; default "bookmark_folders.json"
+    "goodreadsFile": "goodreads_library_export.csv", // Goodreads library export; see import_goodreads.js
+    "kindleFile": "KindleSyncMetadataCache.xml",   // Kindle app library cache; see import_kindle.js
+    "tagMappings": "tag_mappings.json",            // default "tag_mappings.json"
+    "listRules": "list_rules.json",                // default "list_rules.json"
+    "cleanupRules": "cleanup_rules.json",          // default "cleanup_rules.json"
+    "output": "tech_learning_materials.json",      // default "tech_learning_materials.json"
+    "groupingDate": "created",                     // "created" (default) or "lastActivity"
+    "grouping": "year,month",                      // how the export groups cards; see export_workflowy.js
+    "formats": "opml",                             // comma-separated export formats; see export_workflowy.js
+    "deltaSnapshot": "workflowy.opml",             // only export items not in this snapshot; see export_workflowy.js
+    "stages": ["import", "books", "dedupe", "clean", "export"] // stages to run when no --only is given; default all
+}
+*/
+
+const fs = require('fs');
+const path = require('path');
+const childProcess = require('child_process');
+
+const allStages = ['import', 'books', 'courses', 'bookmarks', 'library', 'dedupe', 'clean', 'export'];
+
+const options = getOptions(process.argv.slice(2));
+const config = getConfig(options.workspace);
+const stages = getStages(options, config);
+
+for (const stage of stages) {
+    const stageCommands = getStageCommands(stage, config);
+    if (stageCommands.length === 0) {
+        console.log(`== ${stage}: nothing to run`);
+    }
+
+    for (const stageArgs of stageCommands) {
+        console.log(`== ${stage}: node ${stageArgs.join(' ')}`);
+        if (options.dryRun) {
+            continue;
+        }
+
+        const result = childProcess.spawnSync(process.execPath, stageArgs, { stdio: 'inherit' });
+        if (result.error || result.status !== 0) {
+            console.error(`Stage "${stage}" failed${result.error ? `: ${result.error.message}` : ` with exit code ${result.status}`}`);
+            process.exit(result.status || 1);
+        }
+    }
+}
+
+console.log(options.dryRun ? `Dry run: ${stages.length} stage(s) would run` : `Ran ${stages.length} stage(s)`);
+
+function getOptions(args) {
+    const options = { workspace: '', only: null, skip: [], dryRun: false };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--only':
+                options.only = parseStageList(args[++i]);
+                break;
+            case '--skip':
+                options.skip = parseStageList(args[++i]);
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            default:
+                if (options.workspace || args[i].startsWith('--')) {
+                    fail(`Unexpected argument "${args[i]}"`);
+                }
+                options.workspace = path.resolve(args[i]);
+        }
+    }
+
+    if (!options.workspace) {
+        fail('Usage: node run_pipeline.js <workspace> [--only stage,...] [--skip stage,...] [--dry-run]');
+    }
+    return options;
+}
+
+function parseStageList(value) {
+    const stages = (value || '').split(',').map(stage => stage.trim()).filter(stage => stage.length > 0);
+    stages.forEach(stage => {
+        if (!allStages.includes(stage)) {
+            fail(`Unknown stage "${stage}"; expected one of ${allStages.join(', ')}`);
+        }
+    });
+    return stages;
+}
+
+function getConfig(workspace) {
+    const configFilePath = path.join(workspace, 'pipeline.json');
+    if (!fs.existsSync(configFilePath)) {
+        fail(`Missing workspace config file ${configFilePath}`);
+    }
+
+    const config = JSON.parse(fs.readFileSync(configFilePath, 'utf8'));
+    const resolve = filePath => path.resolve(workspace, filePath);
+
+    return {
+        email: config.email,
+        techBooksPath: config.techBooksPath ? resolve(config.techBooksPath) : '',
+        trelloFiles: (config.trelloFiles || ['trello.json']).map(resolve),
+        courseCatalogs: (config.courseCatalogs || []).map(catalog => {
+            return { profile: catalog.profile, files: (catalog.files || []).map(resolve) };
+        }),
+        catalogProfiles: resolve(config.catalogProfiles || 'catalog_profiles.json'),
+        bookmarkFiles: (config.bookmarkFiles || []).map(resolve),
+        bookmarkFolders: resolve(config.bookmarkFolders || 'bookmark_folders.json'),
+        goodreadsFile: config.goodreadsFile ? resolve(config.goodreadsFile) : '',
+        kindleFile: config.kindleFile ? resolve(config.kindleFile) : '',
+        tagMappings: resolve(config.tagMappings || 'tag_mappings.json'),
+        listRules: resolve(config.listRules || 'list_rules.json'),
+        cleanupRules: resolve(config.cleanupRules || 'cleanup_rules.json'),
+        output: resolve(config.output || 'tech_learning_materials.json'),
+        groupingDate: config.groupingDate || 'created',
+        grouping: config.grouping || 'year,month',
+        formats: config.formats || 'opml',
+        deltaSnapshot: config.deltaSnapshot ? resolve(config.deltaSnapshot) : '',
+        stages: config.stages ? parseStageList(config.stages.join(',')) : allStages
+    };
+}
+
+function getStages(options, config) {
+    const stages = options.only || config.stages;
+
+    if (stages.includes('books') && !options.skip.includes('books') && !config.techBooksPath) {
+        fail('pipeline.json: "techBooksPath" is required to run the books stage');
+    }
+    if (stages.includes('export') && !options.skip.includes('export') && !config.email) {
+        fail('pipeline.json: "email" is required to run the export stage');
+    }
+
+    // Keep the pipeline order no matter the order the stages were listed in.
+    return allStages.filter(stage => stages.includes(stage) && !options.skip.includes(stage));
+}
+
+// Return the arguments of each run of node the stage takes (most stages run a single script once).
+function getStageCommands(stage, config) {
+    const script = name => path.join(__dirname, name);
+
+    switch (stage) {
+        case 'import':
+            return [[script('import_trello.js'), config.trelloFiles.join(','), config.tagMappings, config.output, config.listRules]];
+        case 'books':
+            return [[script('import_books.js'), config.techBooksPath, config.tagMappings, config.output]];
+        case 'courses':
+            return config.courseCatalogs.map(catalog => {
+                return [script('import_course_catalog.js'), catalog.profile, catalog.files.join(','), config.tagMappings, config.output, config.catalogProfiles];
+            });
+        case 'bookmarks':
+            return config.bookmarkFiles.map(bookmarkFile => {
+                return [script('import_bookmarks.js'), bookmarkFile, config.tagMappings, config.output, config.bookmarkFolders];
+            });
+        case 'library':
+            return [
+                config.goodreadsFile ? [script('import_goodreads.js'), config.goodreadsFile, config.tagMappings, config.output] : null,
+                config.kindleFile ? [script('import_kindle.js'), config.kindleFile, config.tagMappings, config.output] : null
+            ].filter(command => command !== null);
+        case 'dedupe':
+            return [[script('dedupe_data.js'), config.output]];
+        case 'clean':
+            return [[script('clean_data.js'), config.output, config.cleanupRules]];
+        case 'export':
+            return [[script('export_workflowy.js'), config.output, config.email, config.groupingDate, config.grouping, config.formats]
+                .concat(config.deltaSnapshot ? [config.deltaSnapshot] : [])];
+    }
+}
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
@@ -0,0 +1,120 @@
+/*
+Shared tag matching engine used by import_trello.js and import_books.js to turn text (card titles, list names, folder
+names, file names...) into tags, driven by the tag mappings file.
+
+FORMAT OF TAG MAPPINGS:
+Each key of the tag mappings file is a word (or pattern) and each value is either a tag or a rule object.
+
+A plain string value is the original substring rule: the tag applies whenever the word appears anywhere in the text,
+ignoring case. E.g. "C#": "csharp".
+
+A rule object supports the following fields:
+- "tag": the tag to apply (required)
+- "wholeWord": true to only match the word when it is not part of a longer word, so "ML" no longer matches "HTML"
+- "regex": true to treat the key as a regular expression instead of a plain word
+- "caseSensitive": true to match case exactly, so "Go" does not match "go to market"
+- "exclude": array of words; a match of the rule that is part of one of them (e.g. "Java" in "JavaScript") doesn't
+  count, but other matches in the same text still do (matched as substrings, with the same case sensitivity as the
+  rule)
+- "aliases": array of other words that apply the same tag using the same options
+
+Sample JSON file containing tag mappings:
+{
+    "C#": "csharp",
+    "ML": { "tag": "ml", "wholeWord": true },
+    "Go": { "tag": "go", "wholeWord": true, "caseSensitive": true, "aliases": ["Golang"] },
+    "\\bR\\b(?! Markdown)": { "tag": "r", "regex": true, "caseSensitive": true },
+    "Java": { "tag": "java", "wholeWord": true, "exclude": ["JavaScript"] }
+}
+
+Keys naming configuration sections of the tag mappings file (e.g. "labels" and "boards", see import_trello.js) are
+not tag rules and are ignored here.
+*/
+
+const configSections = ['labels', 'boards'];
+
+// Characters that make up a "word" for whole-word matching; anything else (spaces, punctuation, start/end of text)
+// counts as a boundary. Unlike \b this also works for words such as "C#" or ".NET" that start or end in punctuation.
+const wordCharacters = 'A-Za-z0-9_';
+
+module.exports = {
+    getTagRules,
+    getTags
+};
+
+// Compile the tag mappings into an ordered list of rules, each with the tag it applies and a test(text) function.
+function getTagRules(tagMappings) {
+    const rules = [];
+
+    Object.keys(tagMappings).forEach(word => {
+        if (configSections.includes(word)) {
+            return;
+        }
+
+        const mapping = typeof tagMappings[word] === 'string' ? { tag: tagMappings[word] } : tagMappings[word];
+        if (!mapping || typeof mapping.tag !== 'string' || mapping.tag.length === 0) {
+            throw new Error(`Invalid tag mapping for "${word}": expected a tag or an object with a "tag" field.`);
+        }
+
+        const patterns = [word].concat(mapping.aliases || []).map(pattern => getRegex(pattern, mapping));
+        const exclusions = (mapping.exclude || []).map(exclusion => {
+            return getRegex(exclusion, { caseSensitive: mapping.caseSensitive });
+        });
+
+        rules.push({
+            tag: mapping.tag,
+            test: text => {
+                const excludedRanges = [].concat(...exclusions.map(exclusion => getMatchRanges(exclusion, text)));
+                // A match only counts if it isn't part of an excluded word.
+                return patterns.some(pattern => getMatchRanges(pattern, text).some(range => {
+                    return !excludedRanges.some(excludedRange => {
+                        return excludedRange.start <= range.start && range.end <= excludedRange.end;
+                    });
+                }));
+            }
+        });
+    });
+
+    return rules;
+}
+
+// Return the tags of every rule matching any of the texts, without duplicates, in the order of the rules.
+function getTags(rules, texts) {
+    const tags = [];
+
+    rules.forEach(rule => {
+        if (texts.some(text => rule.test(text)) && !tags.includes(rule.tag)) {
+            tags.push(rule.tag);
+        }
+    });
+
+    return tags;
+}
+
+// Return { start, end } of every match of the regular expression in the text.
+function getMatchRanges(regex, text) {
+    const globalRegex = new RegExp(regex.source, regex.flags + 'g');
+    const ranges = [];
+    let match;
+    while ((match = globalRegex.exec(text)) !== null) {
+        ranges.push({ start: match.index, end: match.index + match[0].length });
+        if (match[0].length === 0) {
+            globalRegex.lastIndex++;
+        }
+    }
+    return ranges;
+}
+
+function getRegex(pattern, mapping) {
+    const flags = mapping.caseSensitive ? '' : 'i';
+
+    if (mapping.regex) {
+        return new RegExp(pattern, flags);
+    }
+
+    const escapedPattern = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (mapping.wholeWord) {
+        return new RegExp(`(?<![${wordCharacters}])${escapedPattern}(?![${wordCharacters}])`, flags);
+    }
+    return new RegExp(escapedPattern, flags);
+}
@@ -0,0 +1,242 @@
+/*
+Shared reader of Workflowy OPML files for import_workflowy.js and the delta mode of export_workflowy.js. It reads the
+cards written by export_workflowy.js (possibly edited in Workflowy since) back into items, and matches them to the
+items of the tech learning materials JSON file.
+
+HOW CARDS ARE RECOGNIZED:
+Any outline whose text ends in a "| #{type emoji} ..." section is a card (see FORMAT PER CARD in export_workflowy.js);
+every other outline is a group (year, month, tag...) and is searched for cards. For each card:
+- title and url: from the link in the text (or the plain text if there is no link)
+- authors: whatever follows " by " after the link; without a link, only for books, whatever follows the last " by "
+- type: from the type emoji; status: from the status tag and the outline's completion (a completed outline is "done",
+  or "archived" if tagged #archived; an outline that isn't completed is "in-progress" or "on-deck" if tagged so, and
+  "backlog" otherwise)
+- tags: the #tags at the start of the note, plus any other #tags added to the title line in Workflowy
+- id: from the "🆔 {id}" part at the end of the note, if the card has one
+- formats: from a "Formats: ..." part of the note; description: the rest of the note
+- checklists: child outlines that have children of their own (or are empty), with their completed entries; left out if
+  there are none
+- comments: child outlines starting with "💬 {date} | {author}", with the note as the comment text; left out if there
+  are none
+
+HOW CARDS ARE MATCHED TO ITEMS:
+A card matches the item with its id (or that merged its id, see dedupe_data.js), so that a card whose title was edited
+in Workflowy still matches; failing that, the item with the same URL or, failing that, the item with the same title
+(ignoring case) and type.
+*/
+
+const fs = require('fs');
+const htmlparser2 = require('htmlparser2');
+
+const DomUtils = htmlparser2.DomUtils;
+
+// The reverse of getTypeTag() in export_workflowy.js.
+const typeTags = {
+    '#📕': 'book',
+    '#🎥': 'video',
+    '#📝': 'article',
+    '#👩‍🏫': 'course',
+    '#🔠': 'documentation',
+    '#❓': 'other'
+};
+const statusTags = ['#on-deck', '#in-progress', '#done', '#archived'];
+
+module.exports = {
+    readCards,
+    findMatchingItem
+};
+
+// Read the cards under the outline with the given text (ignoring case), or under the whole OPML body if there is no
+// such outline. Return one { item, groupTexts } per card, where item has no created date or location (nor an id if the
+// card has no id), and groupTexts are the texts of the groups the card was found in, outermost first.
+function readCards(filePath, rootText) {
+    const document = htmlparser2.parseDocument(fs.readFileSync(filePath, 'utf8'), { xmlMode: true });
+    const body = DomUtils.findOne(element => element.name === 'body', DomUtils.getChildren(document));
+    if (!body) {
+        throw new Error(`No OPML body found in ${filePath}`);
+    }
+    const root = DomUtils.findOne(element => {
+        return element.name === 'outline' && getText(element).trim().toLowerCase() === rootText.toLowerCase();
+    }, DomUtils.getChildren(body)) || body;
+
+    const cards = [];
+    getOutlines(root).forEach(outline => {
+        readCardsInOutline(outline, [], cards);
+    });
+    return cards;
+}
+
+function findMatchingItem(items, item) {
+    if (item.id) {
+        const itemWithId = items.find(otherItem => otherItem.id === item.id)
+            || items.find(otherItem => (otherItem.mergedIds || []).includes(item.id));
+        if (itemWithId) {
+            return itemWithId;
+        }
+    }
+    if (item.url) {
+        const itemWithUrl = items.find(otherItem => otherItem.url === item.url);
+        if (itemWithUrl) {
+            return itemWithUrl;
+        }
+    }
+    return items.find(otherItem => {
+        return otherItem.type === item.type && otherItem.title.toLowerCase() === item.title.toLowerCase();
+    });
+}
+
+function getOutlines(element) {
+    return DomUtils.getChildren(element).filter(child => child.name === 'outline');
+}
+
+function getText(outline) {
+    return DomUtils.getAttributeValue(outline, 'text') || '';
+}
+
+function getNote(outline) {
+    return DomUtils.getAttributeValue(outline, '_note') || '';
+}
+
+function isComplete(outline) {
+    return DomUtils.getAttributeValue(outline, '_complete') === 'true';
+}
+
+// Read the outline if it's a card, or else treat it as a group and look for cards inside it.
+function readCardsInOutline(outline, groupTexts, cards) {
+    const card = parseCardText(getText(outline));
+    if (!card) {
+        getOutlines(outline).forEach(child => {
+            readCardsInOutline(child, groupTexts.concat(getText(outline).trim()), cards);
+        });
+        return;
+    }
+
+    const note = parseNote(getNote(outline));
+    const item = {};
+    if (note.id) {
+        item.id = note.id;
+    }
+    Object.assign(item, {
+        title: card.title,
+        description: note.description,
+        tags: note.tags.concat(card.extraTags.filter(tag => !note.tags.includes(tag))),
+        type: card.type,
+        url: card.url,
+        status: getStatus(card.statusTag, isComplete(outline))
+    });
+    if (card.authors.length > 0) {
+        item.authors = card.authors;
+    }
+    if (note.formats.length > 0) {
+        item.formats = note.formats;
+    }
+
+    const checklists = [];
+    const comments = [];
+    getOutlines(outline).forEach(child => {
+        const comment = parseComment(child);
+        if (comment) {
+            comments.push(comment);
+            return;
+        }
+        checklists.push({
+            name: getText(child),
+            items: getOutlines(child).map(checklistItem => {
+                return { name: getText(checklistItem), complete: isComplete(checklistItem) };
+            })
+        });
+    });
+    if (checklists.length > 0) {
+        item.checklists = checklists;
+    }
+    if (comments.length > 0) {
+        item.comments = comments;
+    }
+
+    cards.push({ item, groupTexts });
+}
+
+// Parse "{title or link}[ by {authors}] | {type tag} [{status tag}] [{other tags}]", or return null if the text isn't
+// a card's.
+function parseCardText(text) {
+    const separatorIndex = text.lastIndexOf(' | ');
+    if (separatorIndex < 0) {
+        return null;
+    }
+
+    const tagTokens = text.substring(separatorIndex + 3).trim().split(/\s+/);
+    const type = typeTags[tagTokens[0]];
+    if (!type) {
+        return null;
+    }
+
+    let titleText = text.substring(0, separatorIndex);
+    let url = '';
+    const linkMatch = /^<a href="([^"]*)">([\s\S]*?)<\/a>([\s\S]*)$/.exec(titleText);
+    let rest = '';
+    if (linkMatch) {
+        url = linkMatch[1];
+        titleText = linkMatch[2];
+        rest = linkMatch[3];
+    } else if (type === 'book' && titleText.lastIndexOf(' by ') > 0) {
+        rest = titleText.substring(titleText.lastIndexOf(' by '));
+        titleText = titleText.substring(0, titleText.lastIndexOf(' by '));
+    }
+
+    const authorsMatch = /^ by (.+)$/.exec(rest);
+
+    return {
+        title: titleText.trim(),
+        url,
+        type,
+        authors: authorsMatch ? authorsMatch[1].split(', ').map(author => author.trim()) : [],
+        statusTag: tagTokens.slice(1).find(token => statusTags.includes(token)) || '',
+        extraTags: tagTokens.slice(1)
+            .filter(token => token.startsWith('#') && token.length > 1 && !statusTags.includes(token))
+            .map(token => token.substring(1))
+    };
+}
+
+// Parse "{#tags} | Formats: {formats} | {description} | 🆔 {id}", where every part is optional.
+function parseNote(note) {
+    const result = { tags: [], formats: [], description: '', id: '' };
+    const idMatch = /(?:^| \| )🆔 (\S+)\s*$/u.exec(note);
+    if (idMatch) {
+        result.id = idMatch[1];
+        note = note.substring(0, idMatch.index);
+    }
+    const parts = note.length > 0 ? note.split(' | ') : [];
+
+    if (parts.length > 0 && /^#\S+(\s+#\S+)*$/.test(parts[0].trim())) {
+        result.tags = parts.shift().trim().split(/\s+/).map(tag => tag.substring(1));
+    }
+    if (parts.length > 0 && parts[0].startsWith('Formats: ')) {
+        result.formats = parts.shift().substring('Formats: '.length).split(', ');
+    }
+    result.description = parts.join(' | ');
+
+    return result;
+}
+
+function getStatus(statusTag, complete) {
+    if (complete) {
+        return statusTag === '#archived' ? 'archived' : 'done';
+    }
+    if (statusTag === '#in-progress' || statusTag === '#on-deck') {
+        return statusTag.substring(1);
+    }
+    return 'backlog';
+}
+
+// Parse a "💬 {YYYY-MM-DD}[ | {author}]" child outline, or return null if it isn't a comment.
+function parseComment(outline) {
+    const match = /^💬 (\d{4}-\d{2}-\d{2})(?: \| (.*))?$/.exec(getText(outline).trim());
+    if (!match || isNaN(new Date(match[1]))) {
+        return null;
+    }
+    return {
+        author: match[2] || '',
+        date: new Date(match[1]).toISOString(),
+        text: getNote(outline)
+    };
+}